@@ -0,0 +1,480 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Api.gs
+ * ============================================================================
+ *
+ * API JSON del directorio de usuarios (aplicación web).
+ *
+ *   GET  ?recurso=usuarios [&q=&grupo=&rol=&activo=]    lista / búsqueda
+ *   GET  ?recurso=usuario&email=...                    un usuario
+ *   GET  ?recurso=eventos [&tipo=&usuario=&desde=&hasta=&limite=]
+ *   POST { accion: crear | actualizar | desactivar, email, datos }
+ *
+ * Cada petición lleva un token (parámetro "token" o campo del cuerpo) que
+ * debe estar en la propiedad del script API_TOKENS ({ "token": "cliente" });
+ * crearTokenApi genera uno. Los cambios se escriben en la hoja Usuarios y se
+ * procesan con procesarCambioUsuario, igual que una edición manual, así que
+ * generan las mismas notificaciones y registros.
+ *
+ * Respuesta: { ok: true, data } o { ok: false, error: { codigo, mensaje } }
+ * (Apps Script no permite elegir el código HTTP; codigo sigue su significado).
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// ENDPOINTS
+// ============================================================================
+
+/**
+ * Propiedad del script con los tokens válidos y el nombre de su cliente.
+ */
+const API_TOKENS = 'API_TOKENS';
+
+const API_LIMITE_EVENTOS = 500;
+
+/**
+ * Campos de Usuarios que se pueden escribir por la API, en el orden en que
+ * se aplican.
+ */
+const API_CAMPOS_EDITABLES = ['name', 'email', 'role', 'group', 'active', 'lead'];
+
+/**
+ * GET: página de confirmación de los enlaces de aprobación (Aprobaciones.gs)
+ * y consultas de la API.
+ */
+function doGet(e) {
+  return ejecutar('doGet', e, () => {
+    const params = (e && e.parameter) || {};
+    
+    if (params.accion === 'aprobar' || params.accion === 'rechazar') {
+      return paginaConfirmacionAprobacion(params);
+    }
+    
+    return respuestaApi(() => {
+      autenticarApi(params.token);
+      
+      switch (params.recurso) {
+        case 'usuarios':
+          return listarUsuariosApi(params);
+        case 'usuario':
+          return serializarUsuario(buscarUsuarioApi(params.email));
+        case 'eventos':
+          return consultarEventosApi(params);
+        default:
+          throw errorApi(400, `Recurso no válido: "${params.recurso || ''}" (usuarios, usuario, eventos)`);
+      }
+    });
+  });
+}
+
+/**
+ * POST: decisiones de aprobación (formulario de paginaConfirmacionAprobacion)
+ * y altas y cambios de usuarios. Las peticiones de la API se serializan con
+ * un lock para que dos peticiones simultáneas no registren el mismo email.
+ */
+function doPost(e) {
+  return ejecutar('doPost', e, () => {
+    const params = (e && e.parameter) || {};
+    
+    if (params.accion === 'aprobar' || params.accion === 'rechazar') {
+      return paginaAprobacion(params);
+    }
+    
+    return respuestaApi(() => {
+      const body = leerCuerpoApi(e);
+      const cliente = autenticarApi(body.token || params.token);
+      const editor = 'api:' + cliente;
+      
+      const lock = LockService.getScriptLock();
+      lock.waitLock(30 * 1000);
+      
+      try {
+        switch (body.accion) {
+          case 'crear':
+            return crearUsuarioApi(body.datos, editor);
+          case 'actualizar':
+            return actualizarUsuarioApi(body.email, body.datos, editor);
+          case 'desactivar':
+            return actualizarUsuarioApi(body.email, { active: false }, editor);
+          default:
+            throw errorApi(400, `Acción no válida: "${body.accion || ''}" (crear, actualizar, desactivar)`);
+        }
+      } finally {
+        lock.releaseLock();
+      }
+    });
+  });
+}
+
+/**
+ * Ejecuta una petición y la convierte en respuesta JSON. Los errores sin
+ * código (fallos inesperados) se registran en RegistroDeEventos.
+ */
+function respuestaApi(atender) {
+  let respuesta;
+  
+  try {
+    respuesta = { ok: true, data: atender() };
+  
+  } catch (error) {
+    if (!error.codigo) {
+      logError('Error en la API: ' + error.message);
+      logEvent({
+        type: 'ERROR',
+        user: 'Sistema',
+        details: 'Error en la API: ' + error.message,
+        status: 'ERROR'
+      });
+    }
+    respuesta = { ok: false, error: { codigo: error.codigo || 500, mensaje: error.message } };
+  }
+  
+  return ContentService
+    .createTextOutput(JSON.stringify(respuesta))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Error con el código que se devuelve al cliente (400, 401, 404, 409).
+ */
+function errorApi(codigo, mensaje) {
+  const error = new Error(mensaje);
+  error.codigo = codigo;
+  return error;
+}
+
+/**
+ * Cuerpo JSON de un POST.
+ */
+function leerCuerpoApi(e) {
+  const contents = e && e.postData ? e.postData.contents : '';
+  
+  try {
+    const body = JSON.parse(contents || '{}');
+    if (body && typeof body === 'object') return body;
+  } catch (error) {
+    // Se responde como petición inválida
+  }
+  
+  throw errorApi(400, 'El cuerpo debe ser un objeto JSON');
+}
+
+// ============================================================================
+// AUTENTICACIÓN
+// ============================================================================
+
+/**
+ * Valida el token y retorna el nombre del cliente. Los intentos con token
+ * inválido se registran.
+ */
+function autenticarApi(token) {
+  const tokens = leerTokensApi();
+  
+  if (token && Object.prototype.hasOwnProperty.call(tokens, token)) {
+    return tokens[token];
+  }
+  
+  logEvent({
+    type: 'API_NO_AUTORIZADO',
+    user: 'Sistema',
+    details: token ? 'Petición con token inválido' : 'Petición sin token',
+    status: 'WARNING',
+    action: 'Rechazada'
+  });
+  throw errorApi(401, 'No autorizado');
+}
+
+/**
+ * Tokens de API_TOKENS ({} si no hay o la propiedad no es JSON válido).
+ */
+function leerTokensApi() {
+  const raw = PropertiesService.getScriptProperties().getProperty(API_TOKENS);
+  if (!raw) return {};
+  
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logError('API_TOKENS no es JSON válido');
+    return {};
+  }
+}
+
+/**
+ * Genera un token para un cliente de la API y lo guarda en API_TOKENS.
+ * Ejecutar manualmente: crearTokenApi('nombre del cliente').
+ */
+function crearTokenApi(cliente) {
+  if (!cliente) throw new Error('Indica el nombre del cliente del token');
+  
+  const tokens = leerTokensApi();
+  const token = Utilities.getUuid();
+  tokens[token] = cliente;
+  PropertiesService.getScriptProperties().setProperty(API_TOKENS, JSON.stringify(tokens));
+  
+  Logger.log(`Token de API para ${cliente}: ${token}`);
+  return token;
+}
+
+// ============================================================================
+// CONSULTAS
+// ============================================================================
+
+/**
+ * Usuarios que cumplen los filtros: q (texto en nombre o email), grupo,
+ * rol y activo (true/false).
+ */
+function listarUsuariosApi(params) {
+  const q = String(params.q || '').trim().toLowerCase();
+  const igual = (a, b) => String(a).toLowerCase() === String(b).trim().toLowerCase();
+  
+  return getUsers()
+    .filter(user => !q || user.name.toLowerCase().indexOf(q) !== -1 || normalizeEmail(user.email).indexOf(q) !== -1)
+    .filter(user => !params.grupo || igual(user.group, params.grupo))
+    .filter(user => !params.rol || igual(user.role, params.rol))
+    .filter(user => params.activo === undefined || params.activo === '' || user.active === parseBoolean(params.activo))
+    .map(serializarUsuario);
+}
+
+/**
+ * Usuario por email o error 404.
+ */
+function buscarUsuarioApi(email) {
+  const user = findUserByEmail(email);
+  if (!user) throw errorApi(404, `Usuario no encontrado: ${email || ''}`);
+  return user;
+}
+
+/**
+ * Representación JSON de un usuario.
+ */
+function serializarUsuario(user) {
+  const fecha = value => value instanceof Date ? value.toISOString() : (value || null);
+  
+  return {
+    name: user.name,
+    email: normalizeEmail(user.email),
+    role: user.role,
+    group: user.group,
+    active: user.active,
+    lead: user.lead,
+    dateRegistered: fecha(user.dateRegistered),
+    lastAccess: fecha(user.lastAccess),
+    onboarding: user.onboarding || null,
+    rolExpira: fecha(user.rolExpira)
+  };
+}
+
+/**
+ * Eventos de RegistroDeEventos, del más reciente al más antiguo.
+ * Filtros: tipo, usuario, desde/hasta (fechas ISO) y limite (máx. 500).
+ */
+function consultarEventosApi(params) {
+  const desde = parseFechaApi(params.desde, 'desde');
+  const hasta = parseFechaApi(params.hasta, 'hasta');
+  const limite = params.limite ? Number(params.limite) : 100;
+  
+  if (!Number.isInteger(limite) || limite < 1 || limite > API_LIMITE_EVENTOS) {
+    throw errorApi(400, `limite debe ser un entero entre 1 y ${API_LIMITE_EVENTOS}`);
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('RegistroDeEventos');
+  const data = sheet ? sheet.getDataRange().getValues().slice(1) : [];
+  const usuario = params.usuario ? normalizeEmail(params.usuario) : '';
+  
+  const eventos = data
+    .filter(row => !params.tipo || row[1] === params.tipo)
+    .filter(row => !usuario || normalizeEmail(row[2]) === usuario)
+    .filter(row => !desde || (row[0] instanceof Date && row[0] >= desde))
+    .filter(row => !hasta || (row[0] instanceof Date && row[0] <= hasta))
+    .reverse();
+  
+  return {
+    total: eventos.length,
+    eventos: eventos.slice(0, limite).map(row => ({
+      fecha: row[0] instanceof Date ? row[0].toISOString() : row[0],
+      tipo: row[1],
+      usuario: row[2],
+      detalles: row[3],
+      estado: row[4],
+      accion: row[5],
+      ejecucion: row[COLUMNA_EJECUCION] || ''
+    }))
+  };
+}
+
+/**
+ * Fecha de un filtro o null; error 400 si no es válida.
+ */
+function parseFechaApi(value, nombre) {
+  if (!value) return null;
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw errorApi(400, `${nombre} no es una fecha válida: "${value}"`);
+  return date;
+}
+
+// ============================================================================
+// CAMBIOS
+// ============================================================================
+
+/**
+ * Da de alta un usuario. datos: name, email, role, group y opcionalmente
+ * lead. El alta se procesa como una fila completada a mano
+ * (processNewUser: fechas, notificación y onboarding).
+ */
+function crearUsuarioApi(datos, editor) {
+  const valores = validarDatosApi(datos, null);
+  const faltantes = ['name', 'email', 'role', 'group'].filter(field => !valores[field]);
+  
+  if (faltantes.length > 0) {
+    throw errorApi(400, `Faltan campos requeridos: ${faltantes.join(', ')}`);
+  }
+  
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Usuarios');
+  const schema = valores.lead !== undefined
+    ? ensureUsuariosColumns(sheet, ['lead'])
+    : getUsuariosSchema(sheet);
+  
+  const fila = new Array(schema.width).fill('');
+  API_CAMPOS_EDITABLES.forEach(field => {
+    if (valores[field] !== undefined) fila[schema.columns[field] - 1] = valores[field];
+  });
+  fila[schema.columns.active - 1] = valores.active !== undefined ? valores.active : true;
+  
+  sheet.appendRow(fila);
+  const row = sheet.getLastRow();
+  
+  procesarCambioUsuario(sheet, row, 'active', { oldValue: undefined, editor: editor });
+  
+  return serializarUsuario(leerUsuarioFila(sheet, row));
+}
+
+/**
+ * Cambia campos de un usuario. Cada campo se escribe y procesa por
+ * separado, como si se editara su celda.
+ * Retorna { usuario, cambios } con los campos que cambiaron.
+ */
+function actualizarUsuarioApi(email, datos, editor) {
+  const user = buscarUsuarioApi(email);
+  const valores = validarDatosApi(datos, user);
+  const campos = API_CAMPOS_EDITABLES.filter(field => valores[field] !== undefined);
+  
+  if (campos.length === 0) {
+    throw errorApi(400, `Indica al menos un campo: ${API_CAMPOS_EDITABLES.join(', ')}`);
+  }
+  
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Usuarios');
+  const schema = valores.lead !== undefined
+    ? ensureUsuariosColumns(sheet, ['lead'])
+    : getUsuariosSchema(sheet);
+  const cambios = [];
+  
+  campos.forEach(field => {
+    const cell = sheet.getRange(user.row, schema.columns[field]);
+    const anterior = cell.getValue();
+    const igual = field === 'active' || field === 'lead'
+      ? parseBoolean(anterior) === valores[field]
+      : String(anterior) === valores[field];
+    if (igual) return;
+    
+    cell.setValue(valores[field]);
+    cambios.push(field);
+    
+    procesarCambioUsuario(sheet, user.row, field, {
+      oldValue: anterior === '' ? undefined : String(anterior),
+      editor: editor
+    });
+  });
+  
+  return {
+    usuario: serializarUsuario(leerUsuarioFila(sheet, user.row)),
+    cambios: cambios
+  };
+}
+
+/**
+ * Valida los campos recibidos y los convierte al valor que se escribe en
+ * la hoja. user: usuario que se actualiza (null en un alta).
+ * Reporta todos los campos inválidos a la vez.
+ */
+function validarDatosApi(datos, user) {
+  if (!datos || typeof datos !== 'object') {
+    throw errorApi(400, 'datos debe ser un objeto');
+  }
+  
+  const config = getConfig();
+  const valores = {};
+  const errores = [];
+  
+  Object.keys(datos).forEach(field => {
+    if (API_CAMPOS_EDITABLES.indexOf(field) === -1) {
+      errores.push(`campo desconocido: ${field}`);
+      return;
+    }
+    
+    const value = datos[field];
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    
+    switch (field) {
+      case 'email':
+        if (!EMAIL_REGEX.test(text)) {
+          errores.push(`email no válido: "${text}"`);
+        } else {
+          valores.email = normalizeEmail(text);
+        }
+        break;
+      
+      case 'role': {
+        const rol = config.jerarquiaRoles.find(r => r.toLowerCase() === text.toLowerCase());
+        if (!rol) {
+          errores.push(`role debe ser uno de: ${config.jerarquiaRoles.join(', ')}`);
+        } else {
+          valores.role = rol;
+        }
+        break;
+      }
+      
+      case 'active':
+      case 'lead':
+        if (typeof value !== 'boolean' && ['TRUE', 'FALSE'].indexOf(text.toUpperCase()) === -1) {
+          errores.push(`${field} debe ser true o false`);
+        } else {
+          valores[field] = parseBoolean(value);
+        }
+        break;
+      
+      default:
+        if (!text) {
+          errores.push(`${field} no puede estar vacío`);
+        } else {
+          valores[field] = text;
+        }
+    }
+  });
+  
+  if (errores.length > 0) {
+    throw errorApi(400, 'Datos inválidos: ' + errores.join('; '));
+  }
+  
+  if (valores.email) {
+    const existente = findUserByEmail(valores.email);
+    if (existente && (!user || existente.row !== user.row)) {
+      throw errorApi(409, `El email ${valores.email} ya está registrado`);
+    }
+  }
+  
+  return valores;
+}
+
+/**
+ * Usuario de una fila de la hoja Usuarios.
+ */
+function leerUsuarioFila(sheet, row) {
+  const schema = getUsuariosSchema(sheet);
+  return rowToUser(sheet.getRange(row, 1, 1, schema.width).getValues()[0], schema);
+}
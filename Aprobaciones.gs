@@ -0,0 +1,423 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Aprobaciones.gs
+ * ============================================================================
+ *
+ * Aprobación de promociones a Admin.
+ *
+ * Con aprobacionPromocionAdmin activo, cambiar el rol de un usuario a Admin
+ * no tiene efecto inmediato: la celda vuelve al rol anterior, la solicitud
+ * se guarda en la hoja Aprobaciones y los destinatarios del evento
+ * APROBACION_ADMIN reciben los enlaces para aprobar o rechazar. Un alta con
+ * rol Admin (en la hoja o por la API) también se retiene: el usuario se
+ * registra con el rol de menor privilegio de jerarquiaRoles. Los enlaces
+ * apuntan a doGet (Api.gs; el script debe estar implementado como aplicación
+ * web, ver urlWebApp), que solo muestra una página de confirmación; la
+ * decisión se envía por POST (doPost). Quien responde se identifica con
+ * Session.getActiveUser, así que la aplicación web debe pedir inicio de
+ * sesión a los usuarios del dominio; nadie puede aprobar una solicitud que
+ * hizo ni su propia promoción. Las solicitudes sin respuesta expiran después
+ * de horasExpiracionAprobacion (expirarAprobacionesPendientes, cada hora).
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// SOLICITUDES
+// ============================================================================
+
+const HOJA_APROBACIONES = 'Aprobaciones';
+
+const APROBACIONES_ENCABEZADOS = ['Token', 'Solicitada', 'Usuario', 'Nombre', 'Rol Anterior', 'Solicitante', 'Estado', 'Expira', 'Resuelta', 'Resuelta Por'];
+
+const ESTADOS_APROBACION = {
+  PENDIENTE: 'PENDIENTE',
+  APROBADA: 'APROBADA',
+  RECHAZADA: 'RECHAZADA',
+  EXPIRADA: 'EXPIRADA',
+  CANCELADA: 'CANCELADA'
+};
+
+/**
+ * Indica si un cambio de rol debe esperar aprobación.
+ */
+function requiereAprobacion(user, rolAnterior) {
+  const config = getConfig();
+  return config.aprobacionPromocionAdmin &&
+    esRolAdmin(user.role) &&
+    !esRolAdmin(rolAnterior);
+}
+
+/**
+ * Rol previo de un cambio de rol que no trae oldValue (pegado de varias
+ * celdas o celda vacía): el mayor según jerarquiaRoles entre la columna Rol
+ * Anterior y Admin si el usuario tiene una promoción aprobada, para no
+ * devolverlo nunca a un rol menor del que tenía. '' si no se conoce.
+ */
+function inferirRolPrevio(user) {
+  const config = getConfig();
+  const niveles = config.jerarquiaRoles.map(rol => rol.toLowerCase());
+  const candidatos = [];
+  
+  if (user.rolAnterior) candidatos.push(String(user.rolAnterior).trim());
+  if (tienePromocionAprobada(user.email)) candidatos.push(ROL_ADMIN);
+  
+  return candidatos.reduce((mayor, rol) =>
+    !mayor || niveles.indexOf(rol.toLowerCase()) > niveles.indexOf(mayor.toLowerCase()) ? rol : mayor, '');
+}
+
+/**
+ * Indica si el usuario tiene alguna promoción a Admin aprobada.
+ */
+function tienePromocionAprobada(email) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HOJA_APROBACIONES);
+  if (!sheet) return false;
+  
+  const buscado = normalizeEmail(email);
+  return sheet.getDataRange().getValues()
+    .some((row, index) => index > 0 && row[2] === buscado && row[6] === ESTADOS_APROBACION.APROBADA);
+}
+
+/**
+ * Retiene una promoción a Admin: devuelve la celda al rol anterior, guarda
+ * la solicitud y envía los enlaces de aprobación.
+ * rolAnterior debe conocerse (ver inferirRolPrevio): la celda nunca se
+ * escribe con un rol supuesto.
+ */
+function solicitarAprobacionAdmin(user, row, rolAnterior, solicitante) {
+  const config = getConfig();
+  const anterior = String(rolAnterior).trim();
+  const email = normalizeEmail(user.email);
+  
+  // El rol se mantiene hasta que se apruebe
+  const usuarios = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Usuarios');
+  usuarios.getRange(row, getUsuariosSchema(usuarios).columns.role).setValue(anterior);
+  
+  const url = getUrlWebApp(config);
+  if (!url) {
+    logEvent({
+      type: 'ROL_PENDIENTE',
+      user: email,
+      details: `${user.name}: promoción a Admin bloqueada, no hay URL de la aplicación web para aprobarla`,
+      status: 'ERROR',
+      action: 'Configurar urlWebApp'
+    });
+    return null;
+  }
+  
+  cancelarAprobacionesPendientes(email);
+  
+  const token = Utilities.getUuid();
+  const ahora = new Date();
+  const expira = new Date(ahora.getTime() + config.horasExpiracionAprobacion * 60 * 60 * 1000);
+  
+  getAprobacionesSheet().appendRow([
+    token,
+    ahora,
+    email,
+    user.name,
+    anterior,
+    solicitante || '',
+    ESTADOS_APROBACION.PENDIENTE,
+    expira,
+    '',
+    ''
+  ]);
+  
+  const enlace = accion => `${url}?accion=${accion}&token=${encodeURIComponent(token)}`;
+  const message = renderNotification('APROBACION_ADMIN', Object.assign(userTemplateData(user), {
+    rolAnterior: anterior,
+    solicitante: solicitante || 'desconocido',
+    urlAprobar: enlace('aprobar'),
+    urlRechazar: enlace('rechazar'),
+    expira: expira.toLocaleString('es-MX')
+  }));
+  
+  const result = notifyEvent('APROBACION_ADMIN', {
+    user: user,
+    priority: 'critica',
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, 'Aprueba o rechaza la promoción', [
+      { label: 'Usuario', value: `${user.name} (${user.email})` },
+      { label: 'Rol actual', value: anterior },
+      { label: 'Aprobar', value: enlace('aprobar') },
+      { label: 'Rechazar', value: enlace('rechazar') }
+    ])
+  });
+  
+  const secuencia = logEvent({
+    type: 'ROL_PENDIENTE',
+    user: email,
+    details: `${user.name}: ${anterior} → Admin pendiente de aprobación (solicitado por ${solicitante || 'desconocido'})`,
+    status: 'WARNING',
+    action: describeNotification(result)
+  });
+  vincularOperacionesRegistro(result.pendientes, secuencia);
+  
+  return token;
+}
+
+/**
+ * URL de la aplicación web: urlWebApp o la de la implementación actual.
+ */
+function getUrlWebApp(config) {
+  if (config.urlWebApp) return config.urlWebApp;
+  
+  const service = ScriptApp.getService();
+  return service ? service.getUrl() : null;
+}
+
+/**
+ * Una nueva solicitud reemplaza a las pendientes del mismo usuario.
+ */
+function cancelarAprobacionesPendientes(email) {
+  const sheet = getAprobacionesSheet();
+  const data = sheet.getDataRange().getValues();
+  
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][2] === email && data[i][6] === ESTADOS_APROBACION.PENDIENTE) {
+      marcarAprobacion(sheet, i + 1, ESTADOS_APROBACION.CANCELADA);
+    }
+  }
+}
+
+/**
+ * Hoja de solicitudes; se crea con encabezados si no existe.
+ */
+function getAprobacionesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(HOJA_APROBACIONES);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(HOJA_APROBACIONES);
+    sheet.appendRow(APROBACIONES_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Escribe el estado final, la fecha de resolución y quién la resolvió
+ * (vacío si la resolvió el sistema).
+ */
+function marcarAprobacion(sheet, row, estado, responsable) {
+  sheet.getRange(row, 7).setValue(estado);
+  sheet.getRange(row, 9).setValue(new Date());
+  sheet.getRange(row, 10).setValue(responsable || '');
+}
+
+// ============================================================================
+// DECISIÓN
+// ============================================================================
+
+/**
+ * Índice en data de la solicitud con el token indicado, o -1.
+ */
+function buscarSolicitudAprobacion(data, token) {
+  for (let i = 1; i < data.length; i++) {
+    if (token && data[i][0] === token) return i;
+  }
+  return -1;
+}
+
+/**
+ * Aplica la decisión de un enlace de aprobación, enviada por POST desde la
+ * página de confirmación.
+ * accion: aprobar | rechazar. responsable: email de quien responde (cuenta
+ * con sesión iniciada). Nadie puede aprobar una solicitud que hizo ni su
+ * propia promoción. Retorna { ok, mensaje } para la página de respuesta.
+ */
+function resolverAprobacion(token, accion, responsable) {
+  if (accion !== 'aprobar' && accion !== 'rechazar') {
+    return { ok: false, mensaje: 'Acción no válida.' };
+  }
+  
+  const sheet = getAprobacionesSheet();
+  const data = sheet.getDataRange().getValues();
+  const index = buscarSolicitudAprobacion(data, token);
+  
+  if (index === -1) {
+    return { ok: false, mensaje: 'La solicitud no existe.' };
+  }
+  
+  const solicitud = data[index];
+  const row = index + 1;
+  
+  if (solicitud[6] !== ESTADOS_APROBACION.PENDIENTE) {
+    return { ok: false, mensaje: `La solicitud ya no está pendiente (${solicitud[6].toLowerCase()}).` };
+  }
+  
+  if (solicitud[7] instanceof Date && solicitud[7] <= new Date()) {
+    expirarAprobacion(sheet, solicitud, row);
+    return { ok: false, mensaje: 'La solicitud expiró.' };
+  }
+  
+  if (!responsable) {
+    return { ok: false, mensaje: 'No se pudo identificar tu cuenta. Inicia sesión con tu cuenta de la organización y vuelve a abrir el enlace.' };
+  }
+  
+  if (accion === 'aprobar' && [normalizeEmail(solicitud[5]), solicitud[2]].indexOf(responsable) !== -1) {
+    logEvent({
+      type: 'APROBACION_DENEGADA',
+      user: solicitud[2],
+      details: `${solicitud[3]}: ${responsable} intentó aprobar una promoción a Admin que solicitó o que lo promueve`,
+      status: 'WARNING',
+      action: 'La solicitud sigue pendiente'
+    });
+    return { ok: false, mensaje: 'No puedes aprobar una promoción que solicitaste ni tu propia promoción.' };
+  }
+  
+  const user = findUserByEmail(solicitud[2]);
+  
+  if (accion === 'rechazar') {
+    marcarAprobacion(sheet, row, ESTADOS_APROBACION.RECHAZADA, responsable);
+    logEvent({
+      type: 'ROL_RECHAZADO',
+      user: solicitud[2],
+      details: `${solicitud[3]}: promoción a Admin rechazada por ${responsable}`,
+      status: 'OK',
+      action: `Se mantiene el rol ${user ? user.role : solicitud[4]}`
+    });
+    return { ok: true, mensaje: `Se rechazó la promoción de ${solicitud[3]} a Admin.` };
+  }
+  
+  if (!user || !user.active) {
+    marcarAprobacion(sheet, row, ESTADOS_APROBACION.CANCELADA, responsable);
+    logEvent({
+      type: 'ROL_RECHAZADO',
+      user: solicitud[2],
+      details: `${solicitud[3]}: promoción a Admin cancelada, el usuario ya no está activo (aprobada por ${responsable})`,
+      status: 'WARNING',
+      action: 'Ninguna'
+    });
+    return { ok: false, mensaje: `${solicitud[3]} ya no es un usuario activo; la solicitud se canceló.` };
+  }
+  
+  const rolAnterior = user.role;
+  const usuarios = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Usuarios');
+  usuarios.getRange(user.row, getUsuariosSchema(usuarios).columns.role).setValue(ROL_ADMIN);
+  registrarRolAnterior(usuarios, user.row, rolAnterior);
+  user.role = ROL_ADMIN;
+  
+  marcarAprobacion(sheet, row, ESTADOS_APROBACION.APROBADA, responsable);
+  logEvent({
+    type: 'ROL_APROBADO',
+    user: solicitud[2],
+    details: `${solicitud[3]}: promoción a Admin aprobada por ${responsable}`,
+    status: 'OK',
+    action: 'Rol aplicado'
+  });
+  
+  notifyRoleChange(user, rolAnterior);
+  
+  return { ok: true, mensaje: `${solicitud[3]} ahora es Admin.` };
+}
+
+/**
+ * Página de confirmación de un enlace de aprobación (doGet, ver Api.gs).
+ * Abrir el enlace no cambia nada: la decisión se envía con el botón, por
+ * POST, para que los analizadores de enlaces del correo no la apliquen.
+ * params: accion (aprobar | rechazar) y token.
+ */
+function paginaConfirmacionAprobacion(params) {
+  const data = getAprobacionesSheet().getDataRange().getValues();
+  const index = buscarSolicitudAprobacion(data, params.token);
+  
+  if (index === -1) {
+    return paginaRespuestaAprobacion({ ok: false, mensaje: 'La solicitud no existe.' });
+  }
+  
+  const solicitud = data[index];
+  
+  if (solicitud[6] !== ESTADOS_APROBACION.PENDIENTE) {
+    return paginaRespuestaAprobacion({ ok: false, mensaje: `La solicitud ya no está pendiente (${solicitud[6].toLowerCase()}).` });
+  }
+  
+  const aprobar = params.accion === 'aprobar';
+  const url = getUrlWebApp(getConfig());
+  
+  const html = '<h2>🔐 Aprobación de Admin</h2>' +
+    `<p>${aprobar ? 'Aprobar' : 'Rechazar'} la promoción de <strong>${escapeHtml(solicitud[3])}</strong> ` +
+    `(${escapeHtml(solicitud[2])}) de ${escapeHtml(solicitud[4])} a Admin.</p>` +
+    `<p>Solicitada por: ${escapeHtml(solicitud[5] || 'desconocido')}</p>` +
+    `<form method="post" action="${escapeHtml(url)}" target="_top">` +
+    `<input type="hidden" name="accion" value="${escapeHtml(params.accion)}">` +
+    `<input type="hidden" name="token" value="${escapeHtml(params.token)}">` +
+    `<button type="submit">${aprobar ? 'Confirmar aprobación' : 'Confirmar rechazo'}</button>` +
+    '</form>' +
+    '<p><small>Sistema de Gestión Workspace - Turing IA</small></p>';
+  
+  return HtmlService.createHtmlOutput(html).setTitle('Aprobación de Admin');
+}
+
+/**
+ * Aplica la decisión confirmada (doPost, ver Api.gs) y muestra el resultado.
+ * Quien responde es la cuenta con sesión iniciada en la aplicación web.
+ * params: accion (aprobar | rechazar) y token.
+ */
+function paginaAprobacion(params) {
+  const responsable = normalizeEmail(Session.getActiveUser().getEmail());
+  return paginaRespuestaAprobacion(resolverAprobacion(params.token, params.accion, responsable));
+}
+
+/**
+ * Página con el resultado { ok, mensaje } de una aprobación.
+ */
+function paginaRespuestaAprobacion(resultado) {
+  const html = `<h2>${resultado.ok ? '✅' : '⚠️'} Aprobación de Admin</h2>` +
+    `<p>${escapeHtml(resultado.mensaje)}</p>` +
+    '<p><small>Sistema de Gestión Workspace - Turing IA</small></p>';
+  
+  return HtmlService.createHtmlOutput(html).setTitle('Aprobación de Admin');
+}
+
+// ============================================================================
+// EXPIRACIÓN
+// ============================================================================
+
+/**
+ * Marca como expiradas las solicitudes pendientes vencidas (trigger cada hora).
+ * Retorna el número de solicitudes expiradas.
+ */
+function expirarAprobacionesPendientes(e) {
+  return ejecutar('expirarAprobacionesPendientes', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(HOJA_APROBACIONES);
+    if (!sheet) return 0;
+    
+    const data = sheet.getDataRange().getValues();
+    const ahora = new Date();
+    let expiradas = 0;
+    
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][6] !== ESTADOS_APROBACION.PENDIENTE) continue;
+      if (!(data[i][7] instanceof Date) || data[i][7] > ahora) continue;
+      
+      expirarAprobacion(sheet, data[i], i + 1);
+      expiradas++;
+    }
+    
+    logInfo(`Solicitudes de aprobación expiradas: ${expiradas}`);
+    return expiradas;
+  });
+}
+
+/**
+ * Marca una solicitud como expirada y lo registra.
+ */
+function expirarAprobacion(sheet, solicitud, row) {
+  marcarAprobacion(sheet, row, ESTADOS_APROBACION.EXPIRADA);
+  logEvent({
+    type: 'APROBACION_EXPIRADA',
+    user: solicitud[2],
+    details: `${solicitud[3]}: la promoción a Admin no se respondió a tiempo`,
+    status: 'WARNING',
+    action: `Se mantiene el rol ${solicitud[4]}`
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Archivado.gs
+ * ============================================================================
+ *
+ * Rotación mensual de RegistroDeEventos.
+ *
+ * archivarRegistroEventos (día 1 de cada mes) mueve los eventos con más de
+ * diasRetencionRegistro días a una hoja por mes ("Registro 2026-01") en el
+ * spreadsheet archivoRegistroId, o en el mismo spreadsheet si está vacío.
+ * La hoja ResumenRegistro acumula cuántos eventos de cada tipo se archivaron
+ * por mes y dónde quedaron.
+ *
+ * En lugar de las filas movidas queda una fila REGISTRO_ARCHIVADO que indica
+ * dónde está el historial. Lleva la secuencia y el hash del último evento
+ * archivado, así que funciona como ancla de la cadena: verifyAuditLog
+ * (Auditoria.gs) continúa la verificación desde ella. El contenido de los
+ * punteros (incluida la URL del archivo) también queda encadenado: su hash
+ * se guarda con el ancla en las propiedades del script.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// ARCHIVADO
+// ============================================================================
+
+const TIPO_PUNTERO_ARCHIVO = 'REGISTRO_ARCHIVADO';
+
+const HOJA_RESUMEN_REGISTRO = 'ResumenRegistro';
+
+const RESUMEN_REGISTRO_ENCABEZADOS = ['Hoja', 'Tipo', 'Eventos', 'Archivo', 'Actualizado'];
+
+/**
+ * Propiedad del script con { secuencia, hash } del último evento archivado
+ * y punteros: el hash encadenado de las filas REGISTRO_ARCHIVADO.
+ */
+const REGISTRO_ANCLA = 'REGISTRO_ANCLA';
+
+/**
+ * Mueve a las hojas de archivo los eventos anteriores a la retención.
+ * Solo se archiva el bloque inicial de eventos vencidos (el registro está en
+ * orden cronológico), para que la cadena siga siendo contigua.
+ * Retorna el número de eventos archivados.
+ */
+function archivarRegistroEventos(e) {
+  return ejecutar('archivarRegistroEventos', e, () => {
+    const config = getConfig();
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('RegistroDeEventos');
+    if (!sheet) return 0;
+    
+    const limite = new Date(Date.now() - config.diasRetencionRegistro * 24 * 60 * 60 * 1000);
+    const destino = config.archivoRegistroId ? SpreadsheetApp.openById(config.archivoRegistroId) : ss;
+    
+    const archivados = conLockRegistro(() => {
+      const data = sheet.getDataRange().getValues();
+      
+      // Los punteros de rotaciones anteriores se quedan al inicio
+      let inicio = 1;
+      while (inicio < data.length && esPunteroArchivo(data[inicio])) inicio++;
+      
+      let fin = inicio;
+      while (fin < data.length && data[fin][0] instanceof Date && data[fin][0] < limite) fin++;
+      
+      const filas = data.slice(inicio, fin);
+      if (filas.length === 0) return filas;
+      
+      const meses = agruparPorMes(filas);
+      Object.keys(meses).forEach(mes => escribirArchivo(destino, mes, meses[mes]));
+      
+      // El puntero se escribe antes de borrar: una hoja no puede quedar sin filas
+      sheet.insertRowBefore(inicio + 1);
+      sheet.getRange(inicio + 1, 1, 1, REGISTRO_ENCABEZADOS.length)
+        .setValues([crearPunteroArchivo(filas, Object.keys(meses), destino, data.slice(1, inicio))]);
+      sheet.deleteRows(inicio + 2, filas.length);
+      
+      return filas;
+    });
+    
+    if (archivados.length === 0) {
+      logInfo('Registro: no hay eventos para archivar');
+      return 0;
+    }
+    
+    actualizarResumenRegistro(archivados, destino);
+    
+    logInfo(`Registro: ${archivados.length} eventos archivados en ${destino.getUrl()}`);
+    return archivados.length;
+  });
+}
+
+/**
+ * Indica si una fila del registro es un puntero a un archivo.
+ */
+function esPunteroArchivo(row) {
+  return row[1] === TIPO_PUNTERO_ARCHIVO;
+}
+
+/**
+ * Nombre de la hoja de archivo de un mes (ej: "Registro 2026-01").
+ */
+function hojaArchivoMes(mes) {
+  return 'Registro ' + mes;
+}
+
+/**
+ * Mes de un evento en formato AAAA-MM.
+ */
+function mesRegistro(fecha) {
+  return `${fecha.getFullYear()}-${String(fecha.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Agrupa filas del registro por mes: { 'AAAA-MM': [filas] }.
+ */
+function agruparPorMes(filas) {
+  const meses = {};
+  filas.forEach(row => {
+    const mes = mesRegistro(row[0]);
+    if (!meses[mes]) meses[mes] = [];
+    meses[mes].push(row);
+  });
+  return meses;
+}
+
+/**
+ * Agrega filas a la hoja de archivo del mes, creándola si no existe.
+ */
+function escribirArchivo(destino, mes, filas) {
+  const nombre = hojaArchivoMes(mes);
+  let sheet = destino.getSheetByName(nombre);
+  
+  if (!sheet) {
+    sheet = destino.insertSheet(nombre);
+    sheet.appendRow(REGISTRO_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  const valores = filas.map(row => REGISTRO_ENCABEZADOS.map((header, index) => row[index] === undefined ? '' : row[index]));
+  sheet.getRange(sheet.getLastRow() + 1, 1, valores.length, REGISTRO_ENCABEZADOS.length).setValues(valores);
+}
+
+/**
+ * Fila REGISTRO_ARCHIVADO que reemplaza a las archivadas. Si entre ellas hay
+ * eventos encadenados, guarda la secuencia y el hash del último como ancla.
+ * punteros: las filas REGISTRO_ARCHIVADO de rotaciones anteriores, que
+ * se encadenan junto con la nueva.
+ */
+function crearPunteroArchivo(filas, meses, destino, punteros) {
+  const encadenadas = filas.filter(row => row[COLUMNA_SECUENCIA] !== '' && row[COLUMNA_SECUENCIA] !== undefined);
+  const ultima = encadenadas.length > 0 ? encadenadas[encadenadas.length - 1] : null;
+  const rango = encadenadas.length > 0
+    ? ` (secuencias ${encadenadas[0][COLUMNA_SECUENCIA]} a ${ultima[COLUMNA_SECUENCIA]})`
+    : '';
+  
+  const puntero = [
+    fechaRegistro(),
+    TIPO_PUNTERO_ARCHIVO,
+    'Sistema',
+    `${filas.length} eventos archivados${rango} en ${meses.map(hojaArchivoMes).join(', ')}`,
+    'OK',
+    destino.getUrl(),
+    ultima ? ultima[COLUMNA_SECUENCIA] : '',
+    ultima ? ultima[COLUMNA_HASH] : '',
+    idEjecucionActual()
+  ];
+  
+  // Sin eventos encadenados en esta rotación el ancla sigue siendo la anterior
+  const props = PropertiesService.getScriptProperties();
+  const ancla = ultima
+    ? { secuencia: Number(ultima[COLUMNA_SECUENCIA]), hash: String(ultima[COLUMNA_HASH]) }
+    : JSON.parse(props.getProperty(REGISTRO_ANCLA) || '{}');
+  ancla.punteros = calcularHashPunteros((punteros || []).concat([puntero]));
+  props.setProperty(REGISTRO_ANCLA, JSON.stringify(ancla));
+  
+  return puntero;
+}
+
+/**
+ * Hash encadenado de las filas REGISTRO_ARCHIVADO, en orden. Cubre todas sus
+ * columnas, incluidas la secuencia y el hash del ancla que llevan.
+ */
+function calcularHashPunteros(punteros) {
+  return punteros.reduce((anterior, row) =>
+    calcularHashRegistro(row[COLUMNA_SECUENCIA], `${row[COLUMNA_HASH]}␟${anterior}`, row), '');
+}
+
+/**
+ * Suma los eventos archivados por hoja de archivo y tipo en ResumenRegistro.
+ * Se guarda el nombre de la hoja y no el mes, que la hoja convertiría en fecha.
+ */
+function actualizarResumenRegistro(filas, destino) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(HOJA_RESUMEN_REGISTRO);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(HOJA_RESUMEN_REGISTRO);
+    sheet.appendRow(RESUMEN_REGISTRO_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  const conteos = {};
+  filas.forEach(row => {
+    const clave = hojaArchivoMes(mesRegistro(row[0])) + '|' + row[1];
+    conteos[clave] = (conteos[clave] || 0) + 1;
+  });
+  
+  const data = sheet.getDataRange().getValues();
+  const ahora = new Date();
+  
+  Object.keys(conteos).sort().forEach(clave => {
+    const [hoja, tipo] = clave.split('|');
+    const existente = data.findIndex((row, index) => index > 0 && row[0] === hoja && row[1] === tipo);
+    
+    if (existente === -1) {
+      sheet.appendRow([hoja, tipo, conteos[clave], destino.getUrl(), ahora]);
+    } else {
+      sheet.getRange(existente + 1, 3, 1, 3).setValues([[Number(data[existente][2]) + conteos[clave], destino.getUrl(), ahora]]);
+    }
+  });
+}
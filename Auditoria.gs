@@ -0,0 +1,278 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Auditoria.gs
+ * ============================================================================
+ *
+ * Cadena de integridad de RegistroDeEventos.
+ *
+ * Cada fila que escribe logEvent lleva una secuencia y un hash SHA-256 de su
+ * contenido más el hash de la fila anterior. La última secuencia y su hash
+ * se guardan también en las propiedades del script, fuera del alcance de
+ * quien solo edita la hoja. verifyAuditLog (diario) recalcula la cadena y
+ * detecta filas editadas, eliminadas, insertadas o reordenadas.
+ *
+ * Las filas del registro no se modifican después de escritas: el resultado
+ * de una operación reintentada se agrega como un evento nuevo
+ * (REINTENTO_RESUELTO, ver Reintentos.gs). Al archivar eventos antiguos
+ * (Archivado.gs) la cadena continúa desde la fila REGISTRO_ARCHIVADO.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// CADENA
+// ============================================================================
+
+/**
+ * Propiedad del script con { secuencia, hash } de la última fila escrita.
+ */
+const REGISTRO_CADENA = 'REGISTRO_CADENA';
+
+const REGISTRO_ENCABEZADOS = ['Fecha', 'Tipo', 'Usuario', 'Detalles', 'Estado', 'Acción', 'Secuencia', 'Hash', 'Ejecución'];
+
+/**
+ * Columnas (base 0) de la cadena dentro de una fila del registro. La
+ * columna Ejecución (ver Ejecuciones.gs) forma parte del contenido con hash.
+ */
+const COLUMNA_SECUENCIA = 6;
+const COLUMNA_HASH = 7;
+const COLUMNA_EJECUCION = 8;
+
+/**
+ * Completa las filas con su secuencia y hash, a continuación de la última
+ * fila de la cadena, y guarda el nuevo final. Debe llamarse con el lock de
+ * escritura del registro (ver conLockRegistro).
+ */
+function encadenarFilas(sheet, rows) {
+  asegurarEncabezadosRegistro(sheet);
+  
+  let ultimo = leerFinalCadena(sheet);
+  
+  rows.forEach(row => {
+    const secuencia = ultimo.secuencia + 1;
+    const hash = calcularHashRegistro(secuencia, ultimo.hash, row);
+    row[COLUMNA_SECUENCIA] = secuencia;
+    row[COLUMNA_HASH] = hash;
+    ultimo = { secuencia: secuencia, hash: hash };
+  });
+  
+  PropertiesService.getScriptProperties().setProperty(REGISTRO_CADENA, JSON.stringify(ultimo));
+  return rows;
+}
+
+/**
+ * Final de la cadena: la propiedad del script o, si no existe (primera vez),
+ * la última fila con secuencia de la hoja.
+ */
+function leerFinalCadena(sheet) {
+  const raw = PropertiesService.getScriptProperties().getProperty(REGISTRO_CADENA);
+  if (raw) return JSON.parse(raw);
+  
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (data[i][COLUMNA_SECUENCIA] !== '' && data[i][COLUMNA_HASH]) {
+      return { secuencia: Number(data[i][COLUMNA_SECUENCIA]), hash: String(data[i][COLUMNA_HASH]) };
+    }
+  }
+  
+  return { secuencia: 0, hash: '' };
+}
+
+/**
+ * Agrega los encabezados Secuencia, Hash y Ejecución a registros creados antes.
+ */
+function asegurarEncabezadosRegistro(sheet) {
+  const headers = sheet.getRange(1, 1, 1, REGISTRO_ENCABEZADOS.length).getValues()[0];
+  if (headers[COLUMNA_SECUENCIA] && headers[COLUMNA_HASH] && headers[COLUMNA_EJECUCION]) return;
+  
+  sheet.getRange(1, COLUMNA_SECUENCIA + 1, 1, 3).setValues([REGISTRO_ENCABEZADOS.slice(COLUMNA_SECUENCIA)]);
+}
+
+/**
+ * SHA-256 (hex) de una fila: secuencia, hash anterior y el resto de las
+ * columnas. Las fechas se toman en segundos y se ignoran las columnas vacías
+ * del final, para que el valor no cambie al releer la fila de la hoja.
+ */
+function calcularHashRegistro(secuencia, hashAnterior, row) {
+  const datos = row
+    .filter((value, index) => index !== COLUMNA_SECUENCIA && index !== COLUMNA_HASH)
+    .map(value => value instanceof Date ? String(Math.floor(value.getTime() / 1000)) : String(value));
+  
+  while (datos.length > 0 && datos[datos.length - 1] === '') datos.pop();
+  
+  const texto = [secuencia, hashAnterior].concat(datos).join('␟');
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, texto, Utilities.Charset.UTF_8);
+  
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Ejecuta una escritura del registro con el lock del script, para que dos
+ * ejecuciones simultáneas no tomen la misma secuencia. Si la ejecución ya
+ * tiene el lock (ej: doPost) no se vuelve a pedir ni se libera.
+ */
+function conLockRegistro(escribir) {
+  const lock = LockService.getScriptLock();
+  const propio = !lock.hasLock();
+  
+  if (propio) lock.waitLock(30 * 1000);
+  
+  try {
+    return escribir();
+  } finally {
+    if (propio) lock.releaseLock();
+  }
+}
+
+/**
+ * Fila del registro con la secuencia indicada, o null.
+ */
+function buscarEventoPorSecuencia(secuencia) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('RegistroDeEventos');
+  if (!sheet || !secuencia) return null;
+  
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i >= 1; i--) {
+    if (Number(data[i][COLUMNA_SECUENCIA]) === Number(secuencia)) return data[i];
+  }
+  return null;
+}
+
+// ============================================================================
+// VERIFICACIÓN
+// ============================================================================
+
+/**
+ * Recalcula la cadena de RegistroDeEventos (trigger diario).
+ * Problemas detectados por fila:
+ *   MODIFICADA - el contenido no coincide con su hash
+ *   ELIMINADA  - falta una secuencia (o las últimas filas)
+ *   REORDENADA - la secuencia retrocede o se repite
+ *   INSERTADA  - fila sin secuencia después del inicio de la cadena
+ * Las filas anteriores a la cadena (registros viejos) no se verifican. Si
+ * hubo archivado, la cadena empieza en la secuencia siguiente a la del
+ * último puntero REGISTRO_ARCHIVADO, que debe coincidir con el ancla
+ * guardada en las propiedades del script, igual que el contenido de todos
+ * los punteros.
+ * Si hay problemas se envía una alerta crítica y se registra REGISTRO_ALTERADO.
+ * Retorna { valido, revisadas, problemas }.
+ */
+function verifyAuditLog(e) {
+  return ejecutar('verifyAuditLog', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('RegistroDeEventos');
+    if (!sheet) return { valido: true, revisadas: 0, problemas: [] };
+    
+    const data = sheet.getDataRange().getValues();
+    const problemas = [];
+    const problema = (fila, tipo, detalle) => problemas.push({ fila: fila, tipo: tipo, detalle: detalle });
+    const cadena = [];
+    const punteros = [];
+    let ancla = null;
+    
+    for (let i = 1; i < data.length; i++) {
+      if (cadena.length === 0 && esPunteroArchivo(data[i])) {
+        punteros.push({ fila: i + 1, row: data[i] });
+        if (data[i][COLUMNA_SECUENCIA] !== '') {
+          ancla = { fila: i + 1, secuencia: Number(data[i][COLUMNA_SECUENCIA]), hash: String(data[i][COLUMNA_HASH]) };
+        }
+        continue;
+      }
+      if (data[i][COLUMNA_SECUENCIA] === '' || data[i][COLUMNA_SECUENCIA] === undefined) {
+        if (cadena.length > 0) problema(i + 1, 'INSERTADA', 'fila sin secuencia dentro de la cadena');
+        continue;
+      }
+      cadena.push({ fila: i + 1, secuencia: Number(data[i][COLUMNA_SECUENCIA]), hash: String(data[i][COLUMNA_HASH]), row: data[i] });
+    }
+    
+    // Hash de cada secuencia, para verificar cada fila contra su antecesora
+    // aunque estén desordenadas
+    const hashes = {};
+    cadena.forEach(item => { hashes[item.secuencia] = item.hash; });
+    
+    const props = PropertiesService.getScriptProperties();
+    const anclaGuardada = props.getProperty(REGISTRO_ANCLA);
+    if (anclaGuardada) {
+      const guardada = JSON.parse(anclaGuardada);
+      if (guardada.secuencia !== undefined && (!ancla || ancla.secuencia !== guardada.secuencia || ancla.hash !== guardada.hash)) {
+        problema(ancla ? ancla.fila : 2, 'MODIFICADA', `el puntero de archivo no coincide con el ancla guardada (secuencia ${guardada.secuencia})`);
+      } else if (guardada.punteros !== calcularHashPunteros(punteros.map(item => item.row))) {
+        const fila = punteros.length > 0 ? punteros[punteros.length - 1].fila : 2;
+        problema(fila, 'MODIFICADA', 'el contenido de los punteros de archivo no coincide con el ancla guardada');
+      }
+    }
+    if (ancla) hashes[ancla.secuencia] = ancla.hash;
+    
+    let mayor = ancla ? ancla.secuencia : 0;
+    cadena.forEach(item => {
+      if (item.secuencia <= mayor) {
+        problema(item.fila, 'REORDENADA', `secuencia ${item.secuencia} después de la ${mayor}`);
+      } else if (item.secuencia > mayor + 1 && !hashes[mayor + 1]) {
+        problema(item.fila, 'ELIMINADA', `faltan las secuencias ${mayor + 1} a ${item.secuencia - 1}`);
+      }
+      mayor = Math.max(mayor, item.secuencia);
+      
+      const hashAnterior = item.secuencia === 1 ? '' : hashes[item.secuencia - 1];
+      if (hashAnterior === undefined) return;
+      
+      if (calcularHashRegistro(item.secuencia, hashAnterior, item.row) !== item.hash) {
+        problema(item.fila, 'MODIFICADA', `el contenido de la secuencia ${item.secuencia} no coincide con su hash`);
+      }
+    });
+    
+    const ultima = cadena.length > 0 ? cadena[cadena.length - 1] : null;
+    
+    // El final guardado detecta filas eliminadas al final o una cadena recalculada
+    const raw = props.getProperty(REGISTRO_CADENA);
+    if (raw) {
+      const final = JSON.parse(raw);
+      
+      if (final.secuencia > mayor) {
+        problema(data.length + 1, 'ELIMINADA', `faltan las últimas secuencias (${mayor + 1} a ${final.secuencia})`);
+      } else if (final.secuencia === mayor && final.hash !== hashes[mayor]) {
+        problema(ultima ? ultima.fila : data.length, 'MODIFICADA', 'el final de la cadena no coincide con el guardado');
+      }
+    }
+    
+    const resultado = { valido: problemas.length === 0, revisadas: cadena.length, problemas: problemas };
+    
+    if (problemas.length > 0) {
+      alertarRegistroAlterado(problemas);
+    }
+    
+    logInfo(`Registro verificado: ${cadena.length} filas, ${problemas.length} problemas`);
+    return resultado;
+  });
+}
+
+/**
+ * Alerta crítica por alteraciones del registro.
+ */
+function alertarRegistroAlterado(problemas) {
+  const lineas = problemas.map(p => `Fila ${p.fila} - ${p.tipo}: ${p.detalle}`);
+  const message = renderNotification('REGISTRO_ALTERADO', {
+    total: problemas.length,
+    problemas: lineas.join('\n')
+  });
+  
+  const result = notifyEvent('REGISTRO_ALTERADO', {
+    priority: 'critica',
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, 'Revisa el historial de versiones de la hoja',
+      problemas.slice(0, 10).map(p => ({ label: `Fila ${p.fila} - ${p.tipo}`, value: p.detalle })))
+  });
+  
+  logEvent({
+    type: 'REGISTRO_ALTERADO',
+    user: 'Sistema',
+    details: `${problemas.length} problemas: ${lineas.slice(0, 5).join('; ')}${problemas.length > 5 ? '; ...' : ''}`,
+    status: 'ALERTA',
+    action: describeNotification(result)
+  });
+}
@@ -15,10 +15,88 @@
 // CONFIGURACIÓN
 // ============================================================================
 
+/**
+ * Formato válido de email (usado en configuración y destinatarios).
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Parámetros conocidos de la hoja Configuración.
+ * tipo: email | booleano | numero | texto | url | calendario | opcion | destinatarios | lista
+ * defecto: valor usado cuando la celda está vacía o el parámetro no existe.
+ * Los parámetros que no están aquí se conservan tal cual.
+ */
+const CONFIG_SCHEMA = {
+  emailNotificacion: { tipo: 'email', requerido: true },
+  calendarioId: { tipo: 'calendario', defecto: 'primary' },
+  notificarAdmins: { tipo: 'booleano', defecto: true },
+  crearEventoCalendar: { tipo: 'booleano', defecto: true },
+  grupoAdmins: { tipo: 'texto', defecto: '' },
+  diasInactividad: { tipo: 'numero', defecto: 7, min: 1, entero: true },
+  horaVerificacion: { tipo: 'numero', defecto: 8, min: 0, max: 23, entero: true },
+  diasHastaOnboarding: { tipo: 'numero', defecto: 1, min: 0, entero: true },
+  horaOnboarding: { tipo: 'numero', defecto: 10, min: 0, max: 23, entero: true },
+  duracionOnboardingMin: { tipo: 'numero', defecto: 60, min: 15, max: 480, entero: true },
+  horaFinLaboral: { tipo: 'numero', defecto: 18, min: 1, max: 24, entero: true },
+  diasBusquedaOnboarding: { tipo: 'numero', defecto: 14, min: 1, max: 60, entero: true },
+  invitarLiderOnboarding: { tipo: 'booleano', defecto: false },
+  reonboardingAlReactivar: { tipo: 'booleano', defecto: false },
+  usuariosPorEjecucion: { tipo: 'numero', defecto: 5000, min: 1, entero: true },
+  chatWebhookUrl: { tipo: 'url', defecto: '' },
+  intervaloResumenHoras: { tipo: 'numero', defecto: 4, valores: [1, 2, 4, 6, 8, 12] },
+  intervaloReintentosMin: { tipo: 'numero', defecto: 15, valores: [5, 10, 15, 30] },
+  reintentosMaximos: { tipo: 'numero', defecto: 5, min: 1, max: 10, entero: true },
+  cuotaReservaCriticos: { tipo: 'numero', defecto: 10, min: 0, entero: true },
+  jerarquiaRoles: { tipo: 'lista', defecto: ['Viewer', 'Editor', 'Admin'] },
+  rolesPrivilegiados: { tipo: 'lista', defecto: ['Admin'] },
+  aprobacionPromocionAdmin: { tipo: 'booleano', defecto: false },
+  horasExpiracionAprobacion: { tipo: 'numero', defecto: 48, min: 1, max: 168, entero: true },
+  urlWebApp: { tipo: 'url', defecto: '' },
+  nivelLog: { tipo: 'opcion', opciones: ['debug', 'info', 'warn', 'error'], defecto: 'info' },
+  diasRetencionRegistro: { tipo: 'numero', defecto: 90, min: 1, entero: true },
+  archivoRegistroId: { tipo: 'texto', defecto: '' }
+};
+
+/**
+ * Esquema completo: CONFIG_SCHEMA más los parámetros por evento de
+ * EVENTOS_NOTIFICACION (Notificaciones.gs): canal<Evento>, modo<Evento>
+ * (ver Resumen.gs) y destinatarios/cc/bcc<Evento> (ver Destinatarios.gs).
+ */
+function getConfigSchema() {
+  const schema = Object.assign({}, CONFIG_SCHEMA);
+  
+  Object.keys(EVENTOS_NOTIFICACION).forEach(eventType => {
+    const suffix = EVENTOS_NOTIFICACION[eventType];
+    schema['canal' + suffix] = { tipo: 'opcion', opciones: ['email', 'chat', 'ambos'], defecto: 'email' };
+    schema['modo' + suffix] = { tipo: 'opcion', opciones: ['inmediato', 'resumen'], defecto: 'inmediato' };
+    schema['destinatarios' + suffix] = { tipo: 'destinatarios', defecto: DESTINATARIOS_POR_DEFECTO[eventType] || 'notificacion' };
+    schema['cc' + suffix] = { tipo: 'destinatarios', defecto: '' };
+    schema['bcc' + suffix] = { tipo: 'destinatarios', defecto: '' };
+  });
+  
+  return schema;
+}
+
 /**
  * Obtiene la configuración del sistema desde la hoja Configuración.
+ * Los valores se convierten al tipo declarado en el esquema; si algún
+ * parámetro es inválido se lanza un error que los enumera todos.
  */
 function getConfig() {
+  const result = readConfig();
+  
+  if (result.errors.length > 0) {
+    throw new Error('Configuración inválida:\n- ' + result.errors.join('\n- '));
+  }
+  
+  return result.config;
+}
+
+/**
+ * Lee y valida la hoja Configuración sin lanzar por valores inválidos.
+ * Retorna { config, errors }.
+ */
+function readConfig() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Configuración');
   
@@ -27,13 +105,261 @@ function getConfig() {
   }
   
   const data = sheet.getDataRange().getValues();
-  const config = {};
+  const raw = {};
   
   for (let i = 1; i < data.length; i++) {
-    config[data[i][0]] = data[i][1];
+    if (data[i][0] === '') continue;
+    raw[data[i][0].toString().trim()] = data[i][1];
+  }
+  
+  const schema = getConfigSchema();
+  const config = Object.assign({}, raw);
+  const errors = [];
+  const validos = {};
+  
+  Object.keys(schema).forEach(key => {
+    const parsed = parseConfigValue(key, raw[key], schema[key]);
+    
+    if (parsed.error) {
+      errors.push(parsed.error);
+    } else {
+      config[key] = parsed.value;
+      validos[key] = true;
+    }
+  });
+  
+  // La sesión de onboarding debe caber en la jornada
+  if (validos.horaOnboarding && validos.horaFinLaboral && validos.duracionOnboardingMin &&
+      config.horaOnboarding * 60 + config.duracionOnboardingMin > config.horaFinLaboral * 60) {
+    errors.push(
+      `horaFinLaboral: ${config.horaFinLaboral} no deja espacio para una sesión de ` +
+      `${config.duracionOnboardingMin} min desde las ${config.horaOnboarding}:00`
+    );
+  }
+  
+  return { config: config, errors: errors };
+}
+
+/**
+ * Convierte y valida un valor de configuración según su definición.
+ * Retorna { value } o { error }.
+ */
+function parseConfigValue(key, rawValue, definition) {
+  const empty = rawValue === undefined || rawValue === null || rawValue.toString().trim() === '';
+  
+  if (empty) {
+    if (definition.requerido) return { error: `${key}: es obligatorio` };
+    return { value: definition.defecto };
+  }
+  
+  const text = rawValue.toString().trim();
+  
+  switch (definition.tipo) {
+    case 'email':
+      return EMAIL_REGEX.test(text)
+        ? { value: text }
+        : { error: `${key}: "${text}" no es un email válido` };
+    
+    case 'booleano':
+      if (rawValue === true || text.toUpperCase() === 'TRUE') return { value: true };
+      if (rawValue === false || text.toUpperCase() === 'FALSE') return { value: false };
+      return { error: `${key}: "${text}" debe ser TRUE o FALSE` };
+    
+    case 'numero': {
+      const number = Number(rawValue);
+      if (isNaN(number)) return { error: `${key}: "${text}" no es un número` };
+      if (definition.entero && Math.floor(number) !== number) return { error: `${key}: ${number} debe ser un número entero` };
+      if (definition.min !== undefined && number < definition.min) return { error: `${key}: ${number} es menor que ${definition.min}` };
+      if (definition.max !== undefined && number > definition.max) return { error: `${key}: ${number} es mayor que ${definition.max}` };
+      if (definition.valores && definition.valores.indexOf(number) === -1) return { error: `${key}: ${number} debe ser uno de: ${definition.valores.join(', ')}` };
+      return { value: number };
+    }
+    
+    case 'url':
+      return /^https?:\/\/\S+$/.test(text)
+        ? { value: text }
+        : { error: `${key}: "${text}" no es una URL válida` };
+    
+    case 'calendario':
+      return text === 'primary' || EMAIL_REGEX.test(text)
+        ? { value: text }
+        : { error: `${key}: "${text}" no es un ID de calendario válido (primary o ...@group.calendar.google.com)` };
+    
+    case 'opcion': {
+      const option = text.toLowerCase();
+      return definition.opciones.indexOf(option) !== -1
+        ? { value: option }
+        : { error: `${key}: "${text}" debe ser uno de: ${definition.opciones.join(', ')}` };
+    }
+    
+    case 'destinatarios': {
+      const error = validateRecipientList(text);
+      return error ? { error: `${key}: ${error}` } : { value: text };
+    }
+    
+    case 'lista':
+      return { value: splitRecipientList(text) };
+    
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Revisa la hoja Configuración y registra todos los parámetros inválidos.
+ * Ejecutar manualmente: Seleccionar función → Run
+ */
+function validarConfiguracion() {
+  const result = readConfig();
+  
+  if (result.errors.length === 0) {
+    Logger.log('✓ Configuración válida');
+  } else {
+    result.errors.forEach(error => Logger.log('✗ ' + error));
+  }
+  
+  return result.errors;
+}
+
+// ============================================================================
+// ESQUEMA DE LA HOJA USUARIOS
+// ============================================================================
+
+/**
+ * Columnas de la hoja Usuarios, resueltas por nombre de encabezado.
+ * alias: variantes aceptadas (se comparan sin acentos ni mayúsculas).
+ * El orden de las columnas en la hoja es libre y se permiten columnas extra.
+ */
+const USUARIOS_COLUMNAS = {
+  name: { header: 'Nombre', alias: ['nombre', 'name', 'usuario'], requerida: true },
+  email: { header: 'Email', alias: ['email', 'correo', 'correo electronico', 'e-mail'], requerida: true },
+  role: { header: 'Rol', alias: ['rol', 'role'], requerida: true },
+  group: { header: 'Grupo', alias: ['grupo', 'group', 'equipo'], requerida: true },
+  active: { header: 'Activo', alias: ['activo', 'active'], requerida: true },
+  dateRegistered: { header: 'Fecha Registro', alias: ['fecha registro', 'fecha de registro', 'registro'], requerida: true },
+  lastAccess: { header: 'Último Acceso', alias: ['ultimo acceso', 'last access'], requerida: true },
+  lead: { header: 'Líder', alias: ['lider', 'lead', 'lider de grupo'], requerida: false },
+  onboarding: { header: 'Onboarding', alias: ['onboarding', 'estado onboarding'], requerida: false },
+  onboardingEventId: { header: 'ID Evento Onboarding', alias: ['id evento onboarding', 'evento onboarding'], requerida: false },
+  rolExpira: { header: 'Rol Expira', alias: ['rol expira', 'expiracion rol', 'vencimiento rol'], requerida: false },
+  rolAnterior: { header: 'Rol Anterior', alias: ['rol anterior', 'rol previo'], requerida: false }
+};
+
+/**
+ * Normaliza un encabezado: minúsculas, sin acentos y espacios simples.
+ */
+function normalizeHeader(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Construye el esquema a partir de la fila de encabezados.
+ * Lanza error listando todas las columnas requeridas que falten.
+ */
+function buildUsuariosSchema(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  const missing = [];
+  
+  Object.keys(USUARIOS_COLUMNAS).forEach(field => {
+    const definition = USUARIOS_COLUMNAS[field];
+    const index = normalized.findIndex(h => definition.alias.indexOf(h) !== -1);
+    
+    if (index === -1) {
+      if (definition.requerida) missing.push(`"${definition.header}"`);
+      return;
+    }
+    
+    columns[field] = index + 1;
+  });
+  
+  if (missing.length > 0) {
+    throw new Error(
+      `Hoja Usuarios: faltan columnas requeridas ${missing.join(', ')}. ` +
+      `Encabezados encontrados: ${headers.filter(h => h !== '').join(', ') || '(ninguno)'}`
+    );
+  }
+  
+  return { columns: columns, width: headers.length };
+}
+
+/**
+ * Obtiene el esquema de la hoja Usuarios leyendo su fila de encabezados.
+ */
+function getUsuariosSchema(sheet) {
+  const lastColumn = Math.max(sheet.getLastColumn(), 1);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  return buildUsuariosSchema(headers);
+}
+
+/**
+ * Agrega al final de la hoja Usuarios los encabezados de las columnas
+ * opcionales indicadas que falten. Retorna el esquema actualizado.
+ */
+function ensureUsuariosColumns(sheet, fields) {
+  const schema = getUsuariosSchema(sheet);
+  const faltantes = fields.filter(field => !schema.columns[field]);
+  
+  if (faltantes.length === 0) return schema;
+  
+  const headers = faltantes.map(field => USUARIOS_COLUMNAS[field].header);
+  sheet.getRange(1, schema.width + 1, 1, headers.length).setValues([headers]);
+  logInfo(`Columnas agregadas a Usuarios: ${headers.join(', ')}`);
+  
+  return getUsuariosSchema(sheet);
+}
+
+/**
+ * Campo del esquema que corresponde a una columna (1-based), o null.
+ */
+function getUsuariosField(schema, column) {
+  const fields = Object.keys(schema.columns);
+  for (let i = 0; i < fields.length; i++) {
+    if (schema.columns[fields[i]] === column) return fields[i];
   }
+  return null;
+}
+
+/**
+ * Convierte una fila de la hoja Usuarios en objeto de usuario.
+ */
+function rowToUser(values, schema) {
+  const value = field => schema.columns[field] ? values[schema.columns[field] - 1] : '';
+  const text = field => value(field) ? value(field).toString().trim() : '';
   
-  return config;
+  return {
+    name: text('name'),
+    email: text('email'),
+    role: text('role'),
+    group: text('group'),
+    active: parseBoolean(value('active')),
+    dateRegistered: value('dateRegistered') || null,
+    lastAccess: value('lastAccess') || null,
+    lead: parseBoolean(value('lead')),
+    onboarding: text('onboarding'),
+    onboardingEventId: text('onboardingEventId'),
+    rolExpira: value('rolExpira') || null,
+    rolAnterior: text('rolAnterior')
+  };
+}
+
+/**
+ * Interpreta valores de casilla/texto de la hoja como booleano (true, "TRUE", "true").
+ */
+function parseBoolean(value) {
+  return value === true || String(value).trim().toUpperCase() === 'TRUE';
+}
+
+/**
+ * Normaliza un email para usarlo como clave (sin espacios, minúsculas).
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
 }
 
 // ============================================================================
@@ -42,6 +368,8 @@ function getConfig() {
 
 /**
  * Obtiene todos los usuarios del sistema.
+ * El email es la clave del usuario (ver normalizeEmail); cada usuario
+ * incluye `row`: su número de fila en la hoja.
  */
 function getUsers() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -50,41 +378,75 @@ function getUsers() {
   if (!sheet) return [];
   
   const data = sheet.getDataRange().getValues();
+  const schema = buildUsuariosSchema(data[0]);
   const users = [];
   
   for (let i = 1; i < data.length; i++) {
-    if (!data[i][0]) continue;
-    
-    users.push({
-      name: data[i][0],
-      email: data[i][1],
-      role: data[i][2],
-      group: data[i][3],
-      active: data[i][4] === true || data[i][4] === 'TRUE',
-      dateRegistered: data[i][5],
-      lastAccess: data[i][6]
-    });
+    const user = rowToUser(data[i], schema);
+    if (!user.name) continue;
+    
+    user.row = i + 1;
+    users.push(user);
   }
   
   return users;
 }
 
 /**
- * Calcula días desde el último acceso.
+ * Busca un usuario por email (clave única del sistema).
  */
-function getDaysSinceLastAccess(lastAccessDate) {
+function findUserByEmail(email) {
+  const key = normalizeEmail(email);
+  if (!key) return null;
+  
+  const users = getUsers();
+  for (let i = 0; i < users.length; i++) {
+    if (normalizeEmail(users[i].email) === key) return users[i];
+  }
+  return null;
+}
+
+/**
+ * Fila (1-based) de la hoja Usuarios con el email indicado, ignorando
+ * excludeRow. Retorna -1 si no existe. Lee solo la columna Email.
+ */
+function findUserRowByEmail(sheet, schema, email, excludeRow) {
+  const key = normalizeEmail(email);
+  const lastRow = sheet.getLastRow();
+  if (!key || lastRow < 2) return -1;
+  
+  const emails = sheet.getRange(2, schema.columns.email, lastRow - 1, 1).getValues();
+  for (let i = 0; i < emails.length; i++) {
+    if (i + 2 !== excludeRow && normalizeEmail(emails[i][0]) === key) return i + 2;
+  }
+  return -1;
+}
+
+/**
+ * Calcula días completos transcurridos desde una fecha.
+ */
+function getDaysSince(date) {
   const today = new Date();
-  const lastAccess = new Date(lastAccessDate);
-  const diffTime = Math.abs(today - lastAccess);
+  const diffTime = Math.abs(today - new Date(date));
   return Math.floor(diffTime / (1000 * 60 * 60 * 24));
 }
 
+/**
+ * Calcula días desde el último acceso.
+ */
+function getDaysSinceLastAccess(lastAccessDate) {
+  return getDaysSince(lastAccessDate);
+}
+
 // ============================================================================
 // REGISTRO DE EVENTOS
 // ============================================================================
 
 /**
- * Registra un evento en la hoja RegistroEventos para auditoría.
+ * Registra un evento en la hoja RegistroEventos para auditoría, encadenado
+ * con los anteriores (ver Auditoria.gs) y con el ID de la ejecución en
+ * curso (ver Ejecuciones.gs).
+ * Retorna la secuencia del evento (null si no se pudo registrar).
  */
 function logEvent(event) {
   try {
@@ -92,26 +454,81 @@ function logEvent(event) {
     const sheet = ss.getSheetByName('RegistroDeEventos');
     
     if (!sheet) {
-      Logger.log('Hoja RegistroEventos no encontrada');
+      logWarn('Hoja RegistroEventos no encontrada');
+      return null;
+    }
+    
+    const row = conLockRegistro(() => {
+      const [encadenada] = encadenarFilas(sheet, [eventToRow(event, fechaRegistro())]);
+      sheet.appendRow(encadenada);
+      return encadenada;
+    });
+    
+    contarEventosEjecucion([event]);
+    logDebug(`Evento registrado: ${event.type} - ${event.user}`);
+    return row[COLUMNA_SECUENCIA];
+    
+  } catch (error) {
+    logError('Error al registrar evento: ' + error.message);
+    return null;
+  }
+}
+
+/**
+ * Registra varios eventos con una sola escritura (procesos por lotes).
+ */
+function logEvents(events) {
+  if (!events || events.length === 0) return;
+  
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('RegistroDeEventos');
+    
+    if (!sheet) {
+      logWarn('Hoja RegistroEventos no encontrada');
       return;
     }
     
-    sheet.appendRow([
-      new Date(),
-      event.type || 'EVENTO',
-      event.user || 'Sistema',
-      event.details || '',
-      event.status || 'OK',
-      event.action || 'Ninguna'
-    ]);
+    const now = fechaRegistro();
     
-    Logger.log(`Evento registrado: ${event.type} - ${event.user}`);
+    conLockRegistro(() => {
+      const rows = encadenarFilas(sheet, events.map(event => eventToRow(event, now)));
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    });
+    
+    contarEventosEjecucion(events);
+    logDebug(`Eventos registrados: ${events.length}`);
     
   } catch (error) {
-    Logger.log('Error al registrar evento: ' + error.message);
+    logError('Error al registrar eventos: ' + error.message);
   }
 }
 
+/**
+ * Fecha de un evento, sin milisegundos (el hash de la fila usa segundos).
+ */
+function fechaRegistro() {
+  return new Date(Math.floor(Date.now() / 1000) * 1000);
+}
+
+/**
+ * Fila de RegistroDeEventos para un evento, con valores por defecto.
+ * Secuencia y Hash los completa encadenarFilas.
+ */
+function eventToRow(event, date) {
+  return [
+    date,
+    event.type || 'EVENTO',
+    event.user || 'Sistema',
+    event.details || '',
+    event.status || 'OK',
+    event.action || 'Ninguna',
+    '',
+    '',
+    idEjecucionActual()
+  ];
+}
+
 /**
  * Prueba Code.gs: Lee configuración y usuarios
  */
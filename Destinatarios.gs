@@ -0,0 +1,152 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Destinatarios.gs
+ * ============================================================================
+ *
+ * Resolución de destinatarios de email por tipo de evento.
+ *
+ * Cada evento de EVENTOS_NOTIFICACION se configura con tres parámetros:
+ *   destinatarios<Evento>, cc<Evento>, bcc<Evento>
+ * con una lista separada por comas de emails y/o estas claves:
+ *   notificacion - el email de emailNotificacion
+ *   admins       - usuarios activos con rol Admin
+ *   grupoAdmins  - miembros de grupoAdmins (Google Group o grupo de Usuarios)
+ *   lideres      - líderes activos del grupo del usuario del evento
+ *   usuario      - el propio usuario del evento
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// CLAVES DE DESTINATARIOS
+// ============================================================================
+
+const CLAVES_DESTINATARIOS = ['notificacion', 'admins', 'grupoAdmins', 'lideres', 'usuario'];
+
+/**
+ * Valida una lista de destinatarios de Configuración.
+ * Retorna el texto del error o null si es válida.
+ */
+function validateRecipientList(text) {
+  const invalid = splitRecipientList(text).filter(item => {
+    return CLAVES_DESTINATARIOS.indexOf(item) === -1 && !EMAIL_REGEX.test(item);
+  });
+  
+  return invalid.length > 0
+    ? `"${invalid.join('", "')}" no es un email ni una clave (${CLAVES_DESTINATARIOS.join(', ')})`
+    : null;
+}
+
+/**
+ * Separa una lista "a@x.com, admins; lideres" en elementos.
+ */
+function splitRecipientList(text) {
+  return String(text || '')
+    .split(/[,;\n]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// ============================================================================
+// RESOLUCIÓN
+// ============================================================================
+
+/**
+ * Resuelve los destinatarios de un tipo de evento.
+ * context.user: usuario del evento (para "lideres" y "usuario").
+ * Retorna { to, cc, bcc } sin duplicados entre listas.
+ */
+function resolveRecipients(eventType, context) {
+  const config = getConfig();
+  const suffix = EVENTOS_NOTIFICACION[eventType];
+  const ctx = context || {};
+  
+  if (!suffix) {
+    return { to: [config.emailNotificacion], cc: [], bcc: [] };
+  }
+  
+  const cache = {};
+  const expand = key => resolveRecipientList(config[key + suffix], config, ctx, cache);
+  
+  const to = expand('destinatarios');
+  const cc = expand('cc').filter(email => to.indexOf(email) === -1);
+  const bcc = expand('bcc').filter(email => to.indexOf(email) === -1 && cc.indexOf(email) === -1);
+  
+  return { to: to, cc: cc, bcc: bcc };
+}
+
+/**
+ * Convierte una lista de emails/claves en emails normalizados sin repetir.
+ */
+function resolveRecipientList(text, config, context, cache) {
+  const emails = [];
+  
+  splitRecipientList(text).forEach(item => {
+    const resolved = CLAVES_DESTINATARIOS.indexOf(item) !== -1
+      ? resolveRecipientKey(item, config, context, cache)
+      : [item];
+    
+    resolved.forEach(email => {
+      const key = normalizeEmail(email);
+      if (EMAIL_REGEX.test(key) && emails.indexOf(key) === -1) emails.push(key);
+    });
+  });
+  
+  return emails;
+}
+
+/**
+ * Emails que corresponden a una clave de destinatarios.
+ */
+function resolveRecipientKey(key, config, context, cache) {
+  const users = () => cache.users || (cache.users = getUsers());
+  const user = context.user;
+  
+  switch (key) {
+    case 'notificacion':
+      return [config.emailNotificacion];
+    
+    case 'admins':
+      return users().filter(u => u.active && esRolAdmin(u.role)).map(u => u.email);
+    
+    case 'grupoAdmins':
+      return resolveAdminGroup(config.grupoAdmins, users);
+    
+    case 'lideres':
+      if (!user || !user.group) return [];
+      return users()
+        .filter(u => u.active && u.lead && u.group === user.group)
+        .map(u => u.email);
+    
+    case 'usuario':
+      return user && user.email ? [user.email] : [];
+    
+    default:
+      return [];
+  }
+}
+
+/**
+ * Miembros de grupoAdmins. Si es un email se consulta Google Groups (si no
+ * se pueden listar los miembros se usa la dirección del grupo); si es un
+ * nombre se toman los usuarios activos de ese grupo en la hoja Usuarios.
+ */
+function resolveAdminGroup(grupoAdmins, users) {
+  if (!grupoAdmins) return [];
+  
+  if (EMAIL_REGEX.test(grupoAdmins)) {
+    try {
+      return GroupsApp.getGroupByEmail(grupoAdmins).getUsers().map(member => member.getEmail());
+    } catch (error) {
+      logWarn(`No se pudieron leer los miembros de ${grupoAdmins}: ${error.message}`);
+      return [grupoAdmins];
+    }
+  }
+  
+  return users()
+    .filter(u => u.active && u.group === grupoAdmins)
+    .map(u => u.email);
+}
@@ -0,0 +1,214 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Ejecuciones.gs
+ * ============================================================================
+ *
+ * Registro de ejecuciones y logs con nivel.
+ *
+ * Cada trigger y cada petición a la aplicación web se ejecuta dentro de
+ * ejecutar(), que le asigna un ID de ejecución. Ese ID se agrega a cada fila
+ * que escribe logEvent (columna Ejecución de RegistroDeEventos) y a cada
+ * línea de log, y al terminar se escribe una fila en la hoja Ejecuciones con
+ * el origen, la duración, los eventos registrados, lo procesado y el
+ * resultado.
+ *
+ * Los logs (logDebug, logInfo, logWarn, logError) se filtran con nivelLog.
+ * Fuera de una ejecución se usa el nivel INFO.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// LOGS
+// ============================================================================
+
+const NIVELES_LOG = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3 };
+
+/**
+ * Escribe una línea de log si el nivel alcanza el configurado.
+ * Formato: [NIVEL] [ID de ejecución] mensaje
+ */
+function escribirLog(nivel, mensaje) {
+  const minimo = ejecucionActual ? ejecucionActual.nivel : 'INFO';
+  if (NIVELES_LOG[nivel] < NIVELES_LOG[minimo]) return;
+  
+  const id = ejecucionActual ? ` [${ejecucionActual.id}]` : '';
+  Logger.log(`[${nivel}]${id} ${mensaje}`);
+}
+
+function logDebug(mensaje) {
+  escribirLog('DEBUG', mensaje);
+}
+
+function logInfo(mensaje) {
+  escribirLog('INFO', mensaje);
+}
+
+function logWarn(mensaje) {
+  escribirLog('WARN', mensaje);
+}
+
+function logError(mensaje) {
+  escribirLog('ERROR', mensaje);
+}
+
+// ============================================================================
+// EJECUCIONES
+// ============================================================================
+
+const HOJA_EJECUCIONES = 'Ejecuciones';
+
+const EJECUCIONES_ENCABEZADOS = ['Inicio', 'Ejecución', 'Función', 'Origen', 'Duración (s)', 'Eventos', 'Procesado', 'Resultado', 'Error'];
+
+/**
+ * Filas que se conservan en Ejecuciones; las más antiguas se eliminan.
+ */
+const EJECUCIONES_MAX_FILAS = 5000;
+
+/**
+ * Ejecución en curso: { id, funcion, origen, inicio, nivel, eventos, errores }.
+ * Cada ejecución de Apps Script tiene su propio estado global.
+ */
+let ejecucionActual = null;
+
+/**
+ * Ejecuta un punto de entrada (trigger o aplicación web) como una ejecución
+ * registrada y retorna su resultado. Las excepciones se registran y se
+ * vuelven a lanzar. Si ya hay una ejecución en curso (ej:
+ * continuarVerificacionInactivos llama a verificarUsuariosInactivos), el
+ * proceso forma parte de ella.
+ */
+function ejecutar(funcion, e, proceso) {
+  if (ejecucionActual) return proceso();
+  
+  ejecucionActual = {
+    id: Utilities.getUuid(),
+    funcion: funcion,
+    origen: origenEjecucion(e),
+    inicio: new Date(),
+    nivel: leerNivelLog(),
+    eventos: 0,
+    errores: 0
+  };
+  
+  logInfo(`Inicio de ${funcion} (${ejecucionActual.origen})`);
+  
+  try {
+    const resultado = proceso();
+    terminarEjecucion(ejecucionActual.errores > 0 ? 'CON ERRORES' : 'OK', resumirResultado(resultado), '');
+    return resultado;
+  } catch (error) {
+    logError(`${funcion} falló: ${error.message}`);
+    terminarEjecucion('ERROR', '', error.message);
+    throw error;
+  } finally {
+    ejecucionActual = null;
+  }
+}
+
+/**
+ * ID de la ejecución en curso ('' fuera de una ejecución).
+ */
+function idEjecucionActual() {
+  return ejecucionActual ? ejecucionActual.id : '';
+}
+
+/**
+ * Cuenta los eventos que registra la ejecución en curso (ver logEvent).
+ */
+function contarEventosEjecucion(events) {
+  if (!ejecucionActual) return;
+  
+  ejecucionActual.eventos += events.length;
+  ejecucionActual.errores += events.filter(event => event.status === 'ERROR').length;
+}
+
+/**
+ * Origen de una ejecución según el objeto de evento que recibe la función:
+ * webapp, edicion, cambio, tiempo o manual (ejecutada desde el editor).
+ */
+function origenEjecucion(e) {
+  if (!e) return 'manual';
+  if (e.parameter !== undefined) return 'webapp';
+  if (e.changeType !== undefined) return 'cambio';
+  if (e.range !== undefined) return 'edicion';
+  if (e.triggerUid !== undefined) return 'tiempo';
+  return 'manual';
+}
+
+/**
+ * Nivel de log configurado; INFO si la configuración no se puede leer.
+ */
+function leerNivelLog() {
+  try {
+    return readConfig().config.nivelLog.toUpperCase();
+  } catch (error) {
+    return 'INFO';
+  }
+}
+
+/**
+ * Resume lo que retorna un proceso para la columna Procesado:
+ * un número, o los valores numéricos de un objeto (las listas cuentan
+ * sus elementos). Ej: "completadas: 2, fallidas: 0, pendientes: 1".
+ */
+function resumirResultado(resultado) {
+  if (typeof resultado === 'number') return String(resultado);
+  if (!resultado || typeof resultado !== 'object' || resultado.getContent) return '';
+  
+  return Object.keys(resultado)
+    .filter(key => typeof resultado[key] === 'number' || typeof resultado[key] === 'boolean' || Array.isArray(resultado[key]))
+    .map(key => `${key}: ${Array.isArray(resultado[key]) ? resultado[key].length : resultado[key]}`)
+    .join(', ');
+}
+
+/**
+ * Escribe la fila de la ejecución en curso en la hoja Ejecuciones.
+ * Un fallo al escribir no interrumpe el proceso.
+ */
+function terminarEjecucion(resultado, procesado, error) {
+  const ejecucion = ejecucionActual;
+  const duracion = (Date.now() - ejecucion.inicio.getTime()) / 1000;
+  
+  logInfo(`Fin de ${ejecucion.funcion}: ${resultado} en ${duracion.toFixed(1)} s, ${ejecucion.eventos} eventos`);
+  
+  try {
+    const sheet = getEjecucionesSheet();
+    sheet.appendRow([
+      ejecucion.inicio,
+      ejecucion.id,
+      ejecucion.funcion,
+      ejecucion.origen,
+      duracion,
+      ejecucion.eventos,
+      procesado,
+      resultado,
+      error
+    ]);
+    
+    const sobrantes = sheet.getLastRow() - 1 - EJECUCIONES_MAX_FILAS;
+    if (sobrantes > 0) sheet.deleteRows(2, sobrantes);
+    
+  } catch (e) {
+    Logger.log('Error al registrar la ejecución: ' + e.message);
+  }
+}
+
+/**
+ * Obtiene la hoja Ejecuciones, creándola si no existe.
+ */
+function getEjecucionesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(HOJA_EJECUCIONES);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(HOJA_EJECUCIONES);
+    sheet.appendRow(EJECUCIONES_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
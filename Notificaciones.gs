@@ -4,7 +4,7 @@
  * Archivo: Notifications.gs
  * ============================================================================
  * 
- * Funciones de notificaciones: Gmail y Google Calendar.
+ * Funciones de notificaciones: Gmail, Google Chat y Google Calendar.
  * 
  * Autor: José Enrique Guerrero Pérez
  * Fecha: Enero 2026
@@ -17,250 +17,603 @@
 
 /**
  * Envía notificación por email (texto plano).
+ * options.eventType / options.user: los destinatarios se resuelven según la
+ * configuración del evento (Destinatarios.gs); sin evento se usa
+ * emailNotificacion.
+ * options.priority: 'critica' puede usar la cuota reservada (ver checkEmailQuota).
+ * Si el envío falla o se difiere por cuota se guarda para reintentarlo
+ * (Reintentos.gs); el ID de la operación se agrega a options.pendientes
+ * si se indica.
  */
-function sendNotification(subject, body) {
+function sendNotification(subject, body, options) {
+  return deliverNotification(subject, body, {}, options);
+}
+
+/**
+ * Envía notificación con formato HTML (mismas opciones que sendNotification).
+ */
+function sendHtmlNotification(subject, htmlBody, options) {
+  return deliverNotification(subject, '', { htmlBody: htmlBody }, options);
+}
+
+/**
+ * Envío común de sendNotification y sendHtmlNotification.
+ */
+function deliverNotification(subject, body, emailOptions, options) {
+  const opts = options || {};
+  let recipients = null;
+  
   try {
     const config = getConfig();
     
-    if (config.notificarAdmins !== true && config.notificarAdmins !== 'TRUE') {
-      Logger.log('Notificaciones deshabilitadas');
+    if (!config.notificarAdmins) {
+      logDebug('Notificaciones deshabilitadas');
       return false;
     }
     
-    // Validar email
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(config.emailNotificacion)) {
-      Logger.log('Email inválido');
+    recipients = getEmailRecipients(opts);
+    
+    if (recipients.to.length > 0 && !checkEmailQuota(recipients, subject, opts.priority)) {
+      queueFailedEmail(recipients, subject, body, emailOptions, new Error('Cuota diaria de email insuficiente'), opts);
       return false;
     }
     
-    GmailApp.sendEmail(config.emailNotificacion, subject, body);
-    Logger.log('Email enviado: ' + subject);
-    return true;
+    return sendEmailTo(recipients, subject, body, emailOptions);
     
   } catch (error) {
-    Logger.log('Error al enviar email: ' + error.message);
+    logError('Error al enviar email: ' + error.message);
+    if (recipients) {
+      queueFailedEmail(recipients, subject, body, emailOptions, error, opts);
+    }
     return false;
   }
 }
 
 /**
- * Envía notificación con formato HTML.
+ * Guarda un email fallido o diferido en la cola de reintentos.
+ */
+function queueFailedEmail(recipients, subject, body, emailOptions, error, options) {
+  const id = registrarOperacionFallida('EMAIL', subject, {
+    recipients: recipients,
+    subject: subject,
+    body: body,
+    options: emailOptions,
+    priority: options.priority || 'normal'
+  }, error);
+  
+  if (options.pendientes) options.pendientes.push(id);
+}
+
+/**
+ * Destinatarios { to, cc, bcc } de un envío.
  */
-function sendHtmlNotification(subject, htmlBody) {
+function getEmailRecipients(options) {
+  const opts = options || {};
+  if (opts.recipients) return opts.recipients;
+  return resolveRecipients(opts.eventType, { user: opts.user });
+}
+
+/**
+ * Envía un email con destinatarios, CC y BCC.
+ */
+function sendEmailTo(recipients, subject, body, options) {
+  if (recipients.to.length === 0) {
+    logWarn('Sin destinatarios para: ' + subject);
+    return false;
+  }
+  
+  const emailOptions = Object.assign({}, options);
+  if (recipients.cc.length > 0) emailOptions.cc = recipients.cc.join(',');
+  if (recipients.bcc.length > 0) emailOptions.bcc = recipients.bcc.join(',');
+  
+  GmailApp.sendEmail(recipients.to.join(','), subject, body, emailOptions);
+  logDebug(`Email enviado a ${recipients.to.join(', ')}: ${subject}`);
+  return true;
+}
+
+// ============================================================================
+// CUOTA DE GMAIL
+// ============================================================================
+
+/**
+ * Estado de la cuota diaria para un envío. Cada destinatario (to, cc y bcc)
+ * consume una unidad. Los mensajes normales dejan libres cuotaReservaCriticos
+ * unidades; los de prioridad 'critica' pueden usarlas.
+ * Retorna { restante, reserva, requeridos, baja, permitido }.
+ */
+function getEmailQuota(recipients, priority) {
+  const config = getConfig();
+  const requeridos = recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  const restante = MailApp.getRemainingDailyQuota();
+  const reserva = config.cuotaReservaCriticos;
+  const disponible = priority === 'critica' ? restante : restante - reserva;
+  
+  return {
+    restante: restante,
+    reserva: reserva,
+    requeridos: requeridos,
+    baja: restante - requeridos < reserva,
+    permitido: requeridos <= disponible
+  };
+}
+
+/**
+ * Indica si hay cuota para enviar un email. Si la cuota está baja registra
+ * QUOTA_BAJA con los números y si el mensaje se envía o se difiere.
+ */
+function checkEmailQuota(recipients, subject, priority) {
+  const cuota = getEmailQuota(recipients, priority);
+  
+  if (cuota.baja) {
+    logEvent({
+      type: 'QUOTA_BAJA',
+      user: 'Sistema',
+      details: `Cuota restante: ${cuota.restante}, reserva para críticos: ${cuota.reserva}, ` +
+        `destinatarios: ${cuota.requeridos} - ${subject}`,
+      status: cuota.permitido ? 'WARNING' : 'ERROR',
+      action: cuota.permitido ? 'Email enviado con la cuota reservada' : 'Email diferido'
+    });
+  }
+  
+  return cuota.permitido;
+}
+
+// ============================================================================
+// GOOGLE CHAT - MENSAJES POR WEBHOOK
+// ============================================================================
+
+/**
+ * Envía un mensaje al espacio de Google Chat configurado (webhook entrante).
+ * El mensaje debe seguir el formato de la API de Chat ({ text } o { cardsV2 }).
+ */
+function sendChatMessage(message) {
   try {
     const config = getConfig();
+    const webhookUrl = config.chatWebhookUrl;
     
-    if (config.notificarAdmins !== true && config.notificarAdmins !== 'TRUE') {
+    if (!webhookUrl) {
+      logWarn('Webhook de Chat no configurado');
       return false;
     }
     
-    GmailApp.sendEmail(config.emailNotificacion, subject, '', {
-      htmlBody: htmlBody
+    const response = UrlFetchApp.fetch(webhookUrl, {
+      method: 'post',
+      contentType: 'application/json; charset=UTF-8',
+      payload: JSON.stringify(message),
+      muteHttpExceptions: true
     });
     
-    Logger.log('Email HTML enviado: ' + subject);
+    const code = response.getResponseCode();
+    if (code < 200 || code >= 300) {
+      logError(`Error al enviar mensaje de Chat (HTTP ${code}): ${response.getContentText()}`);
+      return false;
+    }
+    
+    logDebug('Mensaje de Chat enviado');
     return true;
     
   } catch (error) {
-    Logger.log('Error al enviar email HTML: ' + error.message);
+    logError('Error al enviar mensaje de Chat: ' + error.message);
     return false;
   }
 }
 
+/**
+ * Construye un mensaje de Chat con formato de tarjeta.
+ * fields: [{ label, value }] que se muestran como filas de la tarjeta.
+ * El texto de cada fila admite formato HTML en Chat, por eso se escapa.
+ */
+function buildChatCard(title, subtitle, fields) {
+  const widgets = (fields || []).map(field => ({
+    decoratedText: {
+      topLabel: field.label,
+      text: templateValue(field.value, true)
+    }
+  }));
+  
+  return {
+    cardsV2: [{
+      cardId: 'workspace-' + new Date().getTime(),
+      card: {
+        header: {
+          title: title,
+          subtitle: subtitle || 'Sistema de Gestión Workspace - Turing IA'
+        },
+        sections: widgets.length > 0 ? [{ widgets: widgets }] : []
+      }
+    }]
+  };
+}
+
+// ============================================================================
+// CANALES DE NOTIFICACIÓN POR EVENTO
+// ============================================================================
+
+/**
+ * Eventos que generan notificación y el sufijo de su clave de configuración.
+ * Ej: USUARIO_AGREGADO se configura con "canalUsuarioAgregado".
+ */
+const EVENTOS_NOTIFICACION = {
+  USUARIO_AGREGADO: 'UsuarioAgregado',
+  USUARIO_INACTIVO: 'UsuarioInactivo',
+  USUARIO_REACTIVADO: 'UsuarioReactivado',
+  ROL_MODIFICADO: 'RolModificado',
+  APROBACION_ADMIN: 'AprobacionAdmin',
+  ROL_EXPIRADO: 'RolExpirado',
+  REGISTRO_ALTERADO: 'RegistroAlterado',
+  REPORTE_INACTIVOS: 'ReporteInactivos'
+};
+
+/**
+ * Destinatarios por defecto de los eventos que no van solo a "notificacion".
+ */
+const DESTINATARIOS_POR_DEFECTO = {
+  ROL_EXPIRADO: 'usuario, notificacion'
+};
+
+/**
+ * Devuelve los canales (email y/o chat) configurados para un tipo de evento.
+ * Valores aceptados en Configuración: email, chat, ambos (por defecto: email).
+ */
+function getNotificationChannels(eventType, config) {
+  const suffix = EVENTOS_NOTIFICACION[eventType];
+  const value = suffix ? config['canal' + suffix] : 'email';
+  
+  return {
+    email: value === 'email' || value === 'ambos',
+    chat: value === 'chat' || value === 'ambos'
+  };
+}
+
+/**
+ * Envía la notificación de un evento por los canales configurados.
+ * message: { subject, body | htmlBody, card, user, summary, priority }
+ * (card en formato de buildChatCard; user determina destinatarios como
+ * "lideres"; summary es la línea que aparece en el resumen).
+ * Si el evento está en modo resumen y priority no es 'critica', se guarda
+ * en la cola (Resumen.gs) en lugar de enviarse.
+ * Retorna { email, chat, queued, pendientes }: resultado de cada canal
+ * (null si no aplica) y filas de OperacionesPendientes si el email falló.
+ */
+function notifyEvent(eventType, message) {
+  const config = getConfig();
+  const channels = getNotificationChannels(eventType, config);
+  const result = { email: null, chat: null, queued: false, pendientes: [] };
+  const options = {
+    eventType: eventType,
+    user: message.user,
+    priority: message.priority,
+    pendientes: result.pendientes
+  };
+  
+  if (isDigestEvent(eventType, message.priority, config)) {
+    enqueueNotification(eventType, message, channels);
+    result.queued = true;
+    return result;
+  }
+  
+  if (channels.email) {
+    result.email = message.htmlBody
+      ? sendHtmlNotification(message.subject, message.htmlBody, options)
+      : sendNotification(message.subject, message.body, options);
+  }
+  
+  if (channels.chat) {
+    result.chat = sendChatMessage(message.card || { text: message.subject + '\n\n' + (message.body || '') });
+  }
+  
+  return result;
+}
+
+/**
+ * Describe el resultado de notifyEvent para la columna "Acción" del registro.
+ */
+function describeNotification(result) {
+  if (result.queued) return 'En cola para resumen';
+  if (result.email === true && result.chat === true) return 'Email y Chat enviados';
+  
+  const partes = [];
+  if (result.email !== null) {
+    if (result.email) {
+      partes.push('Email enviado');
+    } else {
+      partes.push(result.pendientes.length > 0 ? OPERACIONES_ACCION.EMAIL.pendiente : 'Email no enviado');
+    }
+  }
+  if (result.chat !== null) {
+    partes.push(result.chat ? 'Chat enviado' : 'Chat no enviado');
+  }
+  
+  return partes.length > 0 ? partes.join(' y ') : 'Sin notificación';
+}
+
 // ============================================================================
 // GOOGLE CALENDAR - EVENTOS AUTOMÁTICOS
 // ============================================================================
 
 /**
  * Crea un evento en Google Calendar.
+ * options.guests: emails invitados (se les envía la invitación).
+ * options.usuario: email del usuario cuyo onboarding es el evento; si la
+ * creación se reintenta, el ID se guarda en su fila (Onboarding.gs).
+ * Si la creación falla se guarda para reintentarla; el ID de la operación
+ * se agrega a options.pendientes si se indica.
+ * Retorna el ID del evento creado o false.
  */
-function createCalendarEvent(title, description, startTime, endTime) {
+function createCalendarEvent(title, description, startTime, endTime, options) {
+  const opts = options || {};
+  const guests = opts.guests || [];
+  const eventOptions = {
+    description: description,
+    guests: guests.join(','),
+    sendInvites: guests.length > 0
+  };
+  let calendarioId = null;
+  
   try {
     const config = getConfig();
     
-    if (config.crearEventoCalendar !== true && config.crearEventoCalendar !== 'TRUE') {
-      Logger.log('Creación de eventos deshabilitada');
+    if (!config.crearEventoCalendar) {
+      logDebug('Creación de eventos deshabilitada');
       return false;
     }
     
     const calendar = CalendarApp.getCalendarById(config.calendarioId);
     
     if (!calendar) {
-      Logger.log('Calendario no encontrado');
+      logError('Calendario no encontrado');
       return false;
     }
     
-    calendar.createEvent(title, startTime, endTime, {
-      description: description,
-      sendInvites: false
-    });
+    calendarioId = config.calendarioId;
+    const event = calendar.createEvent(title, startTime, endTime, eventOptions);
     
-    Logger.log('Evento creado: ' + title);
-    return true;
+    logDebug('Evento creado: ' + title);
+    return event.getId();
     
   } catch (error) {
-    Logger.log('Error al crear evento: ' + error.message);
+    logError('Error al crear evento: ' + error.message);
+    if (calendarioId) {
+      const id = registrarOperacionFallida('CALENDARIO', title, {
+        calendarioId: calendarioId,
+        title: title,
+        start: startTime.toISOString(),
+        end: endTime.toISOString(),
+        options: eventOptions,
+        usuario: opts.usuario || ''
+      }, error);
+      if (opts.pendientes) opts.pendientes.push(id);
+    }
     return false;
   }
 }
 
+/**
+ * Describe el resultado de createCalendarEvent para el registro.
+ */
+function describeCalendarResult(creado, pendientes) {
+  if (creado) return 'evento creado';
+  return pendientes.length > 0 ? OPERACIONES_ACCION.CALENDARIO.pendiente : 'evento no creado';
+}
+
 // ============================================================================
 // PROCESAMIENTO DE EVENTOS
 // ============================================================================
 
 /**
- * Procesa usuario inactivo: email + log.
+ * Procesa usuario inactivo: notificación (email/Chat) + log, y cancela su
+ * onboarding si aún no ocurrió (Onboarding.gs). Alerta si era el último
+ * Admin activo.
+ * El registro se escribe después del envío con su resultado real.
  */
 function processInactiveUser(user) {
-  logEvent({
+  const message = renderNotification('USUARIO_INACTIVO', userTemplateData(user));
+  
+  const result = notifyEvent('USUARIO_INACTIVO', {
+    user: user,
+    summary: `${user.name} (${user.email}) marcado como inactivo`,
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, null, [
+      { label: 'Usuario', value: `${user.name} (${user.email})` },
+      { label: 'Grupo', value: user.group },
+      { label: 'Fecha', value: new Date().toLocaleString('es-MX') }
+    ])
+  });
+  
+  const secuencia = logEvent({
     type: 'USUARIO_INACTIVO',
-    user: user.name,
-    details: 'Usuario desactivado',
+    user: normalizeEmail(user.email),
+    details: `${user.name}: usuario desactivado`,
     status: 'ALERTA',
-    action: 'Email enviado'
+    action: describeNotification(result)
   });
+  vincularOperacionesRegistro(result.pendientes, secuencia);
   
-  const subject = '⚠️ Usuario inactivo detectado';
-  const body = `El usuario ${user.name} (${user.email}) del grupo ${user.group} fue marcado como inactivo.
-
-Fecha: ${new Date().toLocaleString('es-MX')}
-
-Sistema de Gestión Workspace - Turing IA`;
+  cancelarOnboardingUsuario(user, 'usuario desactivado antes de su onboarding');
+  
+  if (esRolAdmin(user.role) && contarAdminsActivos() === 0) {
+    alertarSinAdmins(user, 'fue desactivado');
+  }
   
-  sendNotification(subject, body);
-  Logger.log(`Usuario inactivo procesado: ${user.name}`);
+  logInfo(`Usuario inactivo procesado: ${user.email}`);
 }
 
 /**
- * Notifica cambio de rol (alerta si es Admin).
+ * Procesa usuario reactivado (Activo vuelve a TRUE): reinicia el último
+ * acceso para que la verificación diaria no lo desactive de nuevo, notifica
+ * y registra quién lo reactivó. Con reonboardingAlReactivar agenda una nueva
+ * sesión de onboarding.
  */
-function notifyRoleChange(user) {
-  logEvent({
-    type: 'ROL_MODIFICADO',
-    user: user.name,
-    details: `Nuevo rol: ${user.role}`,
-    status: user.role === 'Admin' ? 'WARNING' : 'OK',
-    action: user.role === 'Admin' ? 'Email enviado' : 'Solo registro'
+function processReactivatedUser(user, row, reactivadoPor) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Usuarios');
+  const schema = getUsuariosSchema(sheet);
+  const config = getConfig();
+  const quien = reactivadoPor || 'desconocido';
+  
+  sheet.getRange(row, schema.columns.lastAccess).setValue(new Date());
+  
+  const message = renderNotification('USUARIO_REACTIVADO', Object.assign(userTemplateData(user), {
+    reactivadoPor: quien
+  }));
+  
+  const result = notifyEvent('USUARIO_REACTIVADO', {
+    user: user,
+    summary: `${user.name} (${user.email}) reactivado por ${quien}`,
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, null, [
+      { label: 'Usuario', value: `${user.name} (${user.email})` },
+      { label: 'Grupo', value: user.group },
+      { label: 'Reactivado por', value: quien }
+    ])
   });
   
-  if (user.role === 'Admin') {
-    const subject = '⚠️ Cambio Crítico: Nuevo Administrador';
-    const body = `ATENCIÓN: ${user.name} fue promovido a Admin.
-
-Email: ${user.email}
-Grupo: ${user.group}
-Fecha: ${new Date().toLocaleString('es-MX')}
-
-Verifica que este cambio esté autorizado.
+  let action = describeNotification(result);
+  let pendientes = result.pendientes;
+  
+  if (config.reonboardingAlReactivar) {
+    const onboarding = agendarOnboarding(user, row);
+    action += ' y ' + describeCalendarResult(onboarding.eventId, onboarding.pendientes);
+    pendientes = pendientes.concat(onboarding.pendientes);
+  }
+  
+  const secuencia = logEvent({
+    type: 'USUARIO_REACTIVADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name}: reactivado por ${quien}`,
+    status: 'OK',
+    action: action
+  });
+  vincularOperacionesRegistro(pendientes, secuencia);
+  
+  logInfo(`Usuario reactivado procesado: ${user.email}`);
+}
 
-Sistema de Gestión Workspace - Turing IA`;
+/**
+ * Registra un cambio de rol con su valor anterior y lo clasifica según la
+ * jerarquía (Roles.gs). Los cambios que involucran roles privilegiados se
+ * notifican como críticos (ROL_ADMIN si es una promoción a Admin,
+ * ROL_PRIVILEGIADO en otro caso); el resto solo se registra. Si el usuario
+ * era el último Admin activo se envía además la alerta SIN_ADMINS.
+ */
+function notifyRoleChange(user, rolAnterior) {
+  const config = getConfig();
+  const anterior = rolAnterior ? String(rolAnterior).trim() : '';
+  const cambio = clasificarCambioRol(anterior, user.role, config.jerarquiaRoles);
+  
+  if (cambio === 'SIN_CAMBIO') return;
+  
+  const privilegiado = esRolPrivilegiado(anterior, config) || esRolPrivilegiado(user.role, config);
+  let result = null;
+  
+  if (privilegiado) {
+    const template = esRolAdmin(user.role) && cambio !== 'DEGRADACION' ? 'ROL_ADMIN' : 'ROL_PRIVILEGIADO';
+    const message = renderNotification(template, Object.assign(userTemplateData(user), {
+      rolAnterior: anterior || 'desconocido',
+      rolNuevo: user.role,
+      cambio: CAMBIOS_ROL[cambio]
+    }));
     
-    sendNotification(subject, body);
+    result = notifyEvent('ROL_MODIFICADO', {
+      user: user,
+      priority: 'critica',
+      subject: message.subject,
+      body: message.body,
+      htmlBody: message.htmlBody,
+      card: buildChatCard(message.subject, 'Verifica que este cambio esté autorizado', [
+        { label: 'Usuario', value: `${user.name} (${user.email})` },
+        { label: 'Rol', value: `${anterior || 'desconocido'} → ${user.role} (${CAMBIOS_ROL[cambio]})` },
+        { label: 'Grupo', value: user.group },
+        { label: 'Fecha', value: new Date().toLocaleString('es-MX') }
+      ])
+    });
+  }
+  
+  const secuencia = logEvent({
+    type: 'ROL_MODIFICADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name}: rol ${anterior || '(desconocido)'} → ${user.role} (${CAMBIOS_ROL[cambio]})`,
+    status: privilegiado ? 'WARNING' : 'OK',
+    action: result ? describeNotification(result) : 'Solo registro'
+  });
+  if (result) vincularOperacionesRegistro(result.pendientes, secuencia);
+  
+  if (esRolAdmin(anterior) && !esRolAdmin(user.role) && contarAdminsActivos() === 0) {
+    alertarSinAdmins(user, `su rol cambió a ${user.role}`);
   }
 }
 
 /**
- * Procesa nuevo usuario: email HTML + evento Calendar.
+ * Procesa nuevo usuario: notificación (email HTML/Chat) + onboarding en
+ * Calendar (Onboarding.gs). El registro se escribe después de ambos con su
+ * resultado real.
  */
 function processNewUser(user, row) {
   // Actualizar fechas
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName('Usuarios');
+  const schema = getUsuariosSchema(sheet);
   const ahora = new Date();
   
-  sheet.getRange(row, 6).setValue(ahora);
-  sheet.getRange(row, 7).setValue(ahora);
-  
-  // Resto del código original
-  logEvent({
-    type: 'USUARIO_AGREGADO',
-    user: user.name,
-    details: `Rol: ${user.role}, Grupo: ${user.group}`,
-    status: 'OK',
-    action: 'Email y evento creados'
-  });
-  
-  const htmlBody = `
-    <h2>Nuevo Usuario Registrado</h2>
-    <table border="1" cellpadding="8" style="border-collapse: collapse;">
-      <tr><td><strong>Nombre:</strong></td><td>${user.name}</td></tr>
-      <tr><td><strong>Email:</strong></td><td>${user.email}</td></tr>
-      <tr><td><strong>Rol:</strong></td><td>${user.role}</td></tr>
-      <tr><td><strong>Grupo:</strong></td><td>${user.group}</td></tr>
-      <tr><td><strong>Fecha:</strong></td><td>${new Date().toLocaleString('es-MX')}</td></tr>
-    </table>
-    <p style="color: #666; margin-top: 20px;">Sistema de Gestión Workspace - Turing IA</p>
-  `;
+  sheet.getRange(row, schema.columns.dateRegistered).setValue(ahora);
+  sheet.getRange(row, schema.columns.lastAccess).setValue(ahora);
   
-  sendHtmlNotification('✅ Nuevo usuario agregado', htmlBody);
+  const message = renderNotification('USUARIO_AGREGADO', userTemplateData(user));
   
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(10, 0, 0, 0);
-  
-  const endTime = new Date(tomorrow);
-  endTime.setHours(11, 0, 0, 0);
+  const result = notifyEvent('USUARIO_AGREGADO', {
+    user: user,
+    summary: `${user.name} (${user.email}) - Rol: ${user.role}, Grupo: ${user.group}`,
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, null, [
+      { label: 'Nombre', value: user.name },
+      { label: 'Email', value: user.email },
+      { label: 'Rol', value: user.role },
+      { label: 'Grupo', value: user.group }
+    ])
+  });
   
-  const description = `Sesión de Onboarding
-
-👤 Usuario: ${user.name}
-📧 Email: ${user.email}
-🏷️ Rol: ${user.role}
-👥 Grupo: ${user.group}
-
-Agenda:
-1. Bienvenida al equipo
-2. Explicación de roles y permisos
-3. Tour por herramientas
-4. Asignación de tareas
-
-Sistema de Gestión Workspace - Turing IA`;
+  const onboarding = agendarOnboarding(user, row);
   
-  createCalendarEvent(
-    `🎯 Onboarding: ${user.name}`,
-    description,
-    tomorrow,
-    endTime
-  );
+  // Registro con el resultado real de los envíos
+  const secuencia = logEvent({
+    type: 'USUARIO_AGREGADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name} - Rol: ${user.role}, Grupo: ${user.group}` +
+      (onboarding.horario ? `, Onboarding: ${formatHorario(onboarding.horario)}` : ''),
+    status: 'OK',
+    action: describeNotification(result) + ' y ' + describeCalendarResult(onboarding.eventId, onboarding.pendientes)
+  });
+  vincularOperacionesRegistro(result.pendientes.concat(onboarding.pendientes), secuencia);
   
-  Logger.log(`Nuevo usuario procesado: ${user.name}`);
+  logInfo(`Nuevo usuario procesado: ${user.email}`);
 }
 
 /**
  * Envía reporte de usuarios inactivos.
  */
 function enviarReporteInactivos(usuariosInactivos) {
-  let tabla = '';
-  usuariosInactivos.forEach(u => {
-    tabla += `<tr>
-      <td style="padding: 8px; border: 1px solid #ddd;">${u.name}</td>
-      <td style="padding: 8px; border: 1px solid #ddd;">${u.group}</td>
-      <td style="padding: 8px; border: 1px solid #ddd;">${u.days} días</td>
-    </tr>`;
+  const message = renderNotification('REPORTE_INACTIVOS', {
+    total: usuariosInactivos.length,
+    usuarios: usuariosInactivos.map(u => ({ nombre: u.name, grupo: u.group, dias: u.days }))
   });
   
-  const htmlBody = `
-    <h2>📊 Reporte Diario - Usuarios Inactivos</h2>
-    <p>Se detectaron <strong>${usuariosInactivos.length}</strong> usuarios sin actividad:</p>
-    <table border="1" cellpadding="8" style="border-collapse: collapse; width: 100%;">
-      <thead>
-        <tr style="background-color: #4285f4; color: white;">
-          <th>Usuario</th><th>Grupo</th><th>Días Inactivo</th>
-        </tr>
-      </thead>
-      <tbody>${tabla}</tbody>
-    </table>
-    <p style="margin-top: 20px; color: #666;">
-      Fecha: ${new Date().toLocaleDateString('es-MX')}<br>
-      Sistema de Gestión Workspace - Turing IA
-    </p>
-  `;
-  
-  sendHtmlNotification(
-    `📊 Reporte Diario - ${new Date().toLocaleDateString('es-MX')}`,
-    htmlBody
-  );
+  notifyEvent('REPORTE_INACTIVOS', {
+    summary: `${usuariosInactivos.length} usuarios sin actividad`,
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(
+      message.subject,
+      `${usuariosInactivos.length} usuarios sin actividad`,
+      usuariosInactivos.map(u => ({ label: u.group, value: `${u.name} - ${u.days} días` }))
+    )
+  });
 }
 /**
  * Prueba Notifications.gs: Email y Calendar
@@ -298,6 +651,22 @@ function probarNotifications() {
     Logger.log('✗ sendHtmlNotification() falló: ' + error.message);
   }
   
+  // Probar sendChatMessage()
+  try {
+    const resultado = sendChatMessage(buildChatCard(
+      'Prueba de Chat',
+      'Mensaje de prueba desde Apps Script',
+      [{ label: 'Fecha', value: new Date().toLocaleString('es-MX') }]
+    ));
+    if (resultado) {
+      Logger.log('✓ sendChatMessage() funciona - Revisa el espacio de Chat');
+    } else {
+      Logger.log('✗ sendChatMessage() no envió (revisa chatWebhookUrl)');
+    }
+  } catch (error) {
+    Logger.log('✗ sendChatMessage() falló: ' + error.message);
+  }
+  
   // Probar createCalendarEvent()
   try {
     const manana = new Date();
@@ -0,0 +1,509 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Onboarding.gs
+ * ============================================================================
+ *
+ * Sesión de onboarding de los usuarios nuevos en Google Calendar.
+ *
+ * El evento se agenda en el primer espacio libre en horario laboral (sin
+ * fines de semana ni días de la hoja Festivos), invita al nuevo usuario (y a
+ * los líderes de su grupo si invitarLiderOnboarding está activo) y su ID se
+ * guarda en la fila del usuario. La columna Onboarding la mantiene el sistema:
+ *   Pendiente  - aún no hay evento (creación desactivada o en reintento)
+ *   Agendado   - evento creado
+ *   Completado - la sesión ya terminó
+ *   Cancelado  - el evento fue eliminado del calendario, o el usuario se
+ *                desactivó o se eliminó su fila antes de la sesión
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// ESTADOS
+// ============================================================================
+
+const ESTADOS_ONBOARDING = {
+  PENDIENTE: 'Pendiente',
+  AGENDADO: 'Agendado',
+  COMPLETADO: 'Completado',
+  CANCELADO: 'Cancelado'
+};
+
+/**
+ * Columnas de Usuarios que se agregan si faltan al agendar un onboarding.
+ */
+const COLUMNAS_ONBOARDING = ['onboarding', 'onboardingEventId'];
+
+// ============================================================================
+// AGENDAR
+// ============================================================================
+
+/**
+ * Crea el evento de onboarding de un usuario nuevo y lo registra en su fila.
+ * El horario es el primer espacio libre en el calendario (ver
+ * buscarHorarioOnboarding).
+ * Retorna { eventId, horario, pendientes } (horario: { start, end } o null
+ * si no se buscó o no hubo espacio; pendientes: filas de
+ * OperacionesPendientes si la creación quedó en reintento).
+ */
+function agendarOnboarding(user, row) {
+  const config = getConfig();
+  const pendientes = [];
+  let eventId = false;
+  let horario = null;
+  
+  if (config.crearEventoCalendar) {
+    horario = buscarHorarioOnboarding(CalendarApp.getCalendarById(config.calendarioId), config, new Date());
+    
+    if (horario) {
+      const evento = renderNotification('ONBOARDING_EVENTO', userTemplateData(user));
+      
+      eventId = createCalendarEvent(evento.subject, evento.body, horario.start, horario.end, {
+        guests: getOnboardingGuests(user, config),
+        usuario: normalizeEmail(user.email),
+        pendientes: pendientes
+      });
+    } else {
+      logWarn(`Sin horario libre para el onboarding de ${user.email} en ${config.diasBusquedaOnboarding} días`);
+    }
+  }
+  
+  guardarOnboarding(row, eventId ? ESTADOS_ONBOARDING.AGENDADO : ESTADOS_ONBOARDING.PENDIENTE, eventId || '');
+  if (eventId) guardarSnapshotOnboarding();
+  
+  return { eventId: eventId || null, horario: horario, pendientes: pendientes };
+}
+
+/**
+ * Invitados del onboarding: el usuario y, si se configuró, los líderes
+ * activos de su grupo.
+ */
+function getOnboardingGuests(user, config) {
+  const guests = [normalizeEmail(user.email)];
+  
+  if (config.invitarLiderOnboarding && user.group) {
+    getUsers()
+      .filter(u => u.active && u.lead && u.group === user.group)
+      .forEach(u => {
+        const email = normalizeEmail(u.email);
+        if (guests.indexOf(email) === -1) guests.push(email);
+      });
+  }
+  
+  return guests;
+}
+
+/**
+ * Escribe el estado (y el ID del evento si se indica) en la fila del usuario.
+ */
+function guardarOnboarding(row, estado, eventId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Usuarios');
+  const schema = ensureUsuariosColumns(sheet, COLUMNAS_ONBOARDING);
+  
+  sheet.getRange(row, schema.columns.onboarding).setValue(estado);
+  if (eventId !== undefined) {
+    sheet.getRange(row, schema.columns.onboardingEventId).setValue(eventId);
+  }
+}
+
+/**
+ * Marca como agendado el onboarding de un usuario cuyo evento se creó en un
+ * reintento (Reintentos.gs).
+ */
+function registrarOnboardingAgendado(email, eventId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Usuarios');
+  const row = findUserRowByEmail(sheet, getUsuariosSchema(sheet), email);
+  
+  if (row === -1) {
+    logWarn(`Usuario ${email} no encontrado para registrar su onboarding`);
+    return;
+  }
+  
+  guardarOnboarding(row, ESTADOS_ONBOARDING.AGENDADO, eventId);
+  guardarSnapshotOnboarding();
+}
+
+// ============================================================================
+// HORARIO
+// ============================================================================
+
+const PASO_HORARIO_MIN = 30;
+
+/**
+ * Primer espacio libre para el onboarding a partir de diasHastaOnboarding
+ * días después de `desde`: solo días laborables (lunes a viernes que no
+ * estén en la hoja Festivos), entre horaOnboarding y horaFinLaboral, sin
+ * cruzarse con eventos del calendario. Busca hasta diasBusquedaOnboarding
+ * días. Retorna { start, end } o null.
+ */
+function buscarHorarioOnboarding(calendar, config, desde) {
+  const festivos = getFestivos();
+  const duracionMs = config.duracionOnboardingMin * 60 * 1000;
+  const dia = new Date(desde);
+  dia.setDate(dia.getDate() + config.diasHastaOnboarding);
+  dia.setHours(0, 0, 0, 0);
+  
+  for (let i = 0; i < config.diasBusquedaOnboarding; i++, dia.setDate(dia.getDate() + 1)) {
+    if (!esDiaLaboral(dia, festivos)) continue;
+    
+    const inicioJornada = new Date(dia);
+    inicioJornada.setHours(config.horaOnboarding, 0, 0, 0);
+    const finJornada = new Date(dia);
+    finJornada.setHours(config.horaFinLaboral, 0, 0, 0);
+    
+    const eventos = calendar ? calendar.getEvents(inicioJornada, finJornada) : [];
+    let start = inicioJornada < desde ? redondearHorario(desde) : inicioJornada;
+    
+    while (start.getTime() + duracionMs <= finJornada.getTime()) {
+      const end = new Date(start.getTime() + duracionMs);
+      const choques = eventos.filter(e => e.getStartTime() < end && e.getEndTime() > start);
+      
+      if (choques.length === 0) {
+        return { start: start, end: end };
+      }
+      
+      // Continuar después del último evento que se cruza
+      const finChoques = Math.max.apply(null, choques.map(e => e.getEndTime().getTime()));
+      start = redondearHorario(new Date(finChoques));
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Redondea una fecha al siguiente múltiplo de PASO_HORARIO_MIN minutos.
+ */
+function redondearHorario(date) {
+  const pasoMs = PASO_HORARIO_MIN * 60 * 1000;
+  return new Date(Math.ceil(date.getTime() / pasoMs) * pasoMs);
+}
+
+/**
+ * Lunes a viernes que no sea festivo.
+ */
+function esDiaLaboral(date, festivos) {
+  const diaSemana = date.getDay();
+  return diaSemana !== 0 && diaSemana !== 6 && festivos.indexOf(claveFecha(date)) === -1;
+}
+
+/**
+ * Fechas de la hoja Festivos (Fecha | Descripción) como claves "aaaa-mm-dd".
+ * Acepta fechas de la hoja o texto "aaaa-mm-dd".
+ */
+function getFestivos() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Festivos');
+  
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues()
+    .map(row => row[0] instanceof Date ? claveFecha(row[0]) : String(row[0]).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Clave "aaaa-mm-dd" de una fecha en la zona horaria del script.
+ */
+function claveFecha(date) {
+  const pad = n => (n < 10 ? '0' : '') + n;
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Texto de un horario para el registro: "20/10/2026 10:00-11:00".
+ */
+function formatHorario(horario) {
+  const hora = date => `${date.getHours()}:${(date.getMinutes() < 10 ? '0' : '') + date.getMinutes()}`;
+  return `${horario.start.toLocaleDateString('es-MX')} ${hora(horario.start)}-${hora(horario.end)}`;
+}
+
+// ============================================================================
+// SEGUIMIENTO
+// ============================================================================
+
+/**
+ * Revisa los onboardings agendados: los que ya terminaron pasan a
+ * Completado y los que ya no existen en el calendario a Cancelado.
+ * Trigger diario creado por instalarTriggers.
+ * Retorna { completados, cancelados }.
+ */
+function actualizarEstadosOnboarding(e) {
+  return ejecutar('actualizarEstadosOnboarding', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Usuarios');
+    const data = sheet.getDataRange().getValues();
+    const schema = buildUsuariosSchema(data[0]);
+    const resultado = { completados: 0, cancelados: 0 };
+    
+    if (!schema.columns.onboarding || !schema.columns.onboardingEventId) {
+      logWarn('Usuarios no tiene columnas de onboarding');
+      return resultado;
+    }
+    
+    const config = getConfig();
+    const calendar = CalendarApp.getCalendarById(config.calendarioId);
+    if (!calendar) {
+      logError('Calendario no encontrado');
+      return resultado;
+    }
+    
+    const ahora = new Date();
+    
+    for (let i = 1; i < data.length; i++) {
+      const user = rowToUser(data[i], schema);
+      if (user.onboarding !== ESTADOS_ONBOARDING.AGENDADO || !user.onboardingEventId) continue;
+      
+      const event = calendar.getEventById(user.onboardingEventId);
+      let estado = null;
+      
+      if (!event) {
+        estado = ESTADOS_ONBOARDING.CANCELADO;
+        resultado.cancelados++;
+      } else if (event.getEndTime() <= ahora) {
+        estado = ESTADOS_ONBOARDING.COMPLETADO;
+        resultado.completados++;
+      }
+      
+      if (estado) {
+        sheet.getRange(i + 1, schema.columns.onboarding).setValue(estado);
+      }
+    }
+    
+    if (resultado.completados + resultado.cancelados > 0) {
+      guardarSnapshotOnboarding();
+      logEvent({
+        type: 'ONBOARDING_ACTUALIZADO',
+        user: 'Sistema',
+        details: `${resultado.completados} completados, ${resultado.cancelados} cancelados`,
+        status: 'OK',
+        action: 'Columna Onboarding actualizada'
+      });
+    }
+    
+    return resultado;
+  });
+}
+
+// ============================================================================
+// CANCELACIÓN Y CAMBIOS
+// ============================================================================
+
+/**
+ * Hoja oculta con los onboardings agendados (email, ID del evento) para
+ * detectar filas eliminadas: el evento onChange no indica qué fila se borró.
+ * Es una hoja y no una propiedad porque la foto crece con cada onboarding.
+ */
+const SNAPSHOT_ONBOARDING = 'OnboardingAgendados';
+
+const SNAPSHOT_ENCABEZADOS = ['Email', 'ID Evento'];
+
+/**
+ * Evento de onboarding que aún no ocurre, o null si no existe o ya pasó.
+ */
+function getEventoOnboardingFuturo(eventId) {
+  const config = getConfig();
+  const calendar = CalendarApp.getCalendarById(config.calendarioId);
+  const event = calendar ? calendar.getEventById(eventId) : null;
+  
+  return event && event.getStartTime() > new Date() ? event : null;
+}
+
+/**
+ * Cancela el onboarding agendado de un usuario (desactivado o eliminado):
+ * elimina el evento, marca la fila como Cancelado si aún existe y registra
+ * ONBOARDING_CANCELADO. No hace nada si el onboarding ya ocurrió.
+ * Retorna true si se canceló.
+ */
+function cancelarOnboardingUsuario(user, motivo) {
+  if (user.onboarding !== ESTADOS_ONBOARDING.AGENDADO || !user.onboardingEventId) return false;
+  
+  const config = getConfig();
+  const calendar = CalendarApp.getCalendarById(config.calendarioId);
+  const event = calendar ? calendar.getEventById(user.onboardingEventId) : null;
+  
+  if (event && event.getStartTime() <= new Date()) return false;
+  if (event) event.deleteEvent();
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Usuarios');
+  const row = findUserRowByEmail(sheet, getUsuariosSchema(sheet), user.email);
+  if (row !== -1) guardarOnboarding(row, ESTADOS_ONBOARDING.CANCELADO);
+  
+  logEvent({
+    type: 'ONBOARDING_CANCELADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name || user.email}: ${motivo} (evento ${user.onboardingEventId})`,
+    status: 'OK',
+    action: event ? 'Evento eliminado del calendario' : 'Evento no encontrado en el calendario'
+  });
+  
+  guardarSnapshotOnboarding();
+  return true;
+}
+
+/**
+ * Actualiza el evento de onboarding pendiente cuando cambian los datos del
+ * usuario: título, descripción e invitados (nuevo email, líderes del nuevo
+ * grupo). Si el horario del evento ya no es válido (día festivo agregado,
+ * fuera del horario laboral o cruzado con otro evento) lo mueve al primer
+ * espacio libre. Registra ONBOARDING_MODIFICADO si hubo cambios.
+ */
+function actualizarOnboardingUsuario(user) {
+  if (user.onboarding !== ESTADOS_ONBOARDING.AGENDADO || !user.onboardingEventId) return false;
+  
+  const event = getEventoOnboardingFuturo(user.onboardingEventId);
+  if (!event) return false;
+  
+  const config = getConfig();
+  const calendar = CalendarApp.getCalendarById(config.calendarioId);
+  const evento = renderNotification('ONBOARDING_EVENTO', userTemplateData(user));
+  const deseados = getOnboardingGuests(user, config);
+  const actuales = event.getGuestList().map(guest => normalizeEmail(guest.getEmail()));
+  const quitar = actuales.filter(email => deseados.indexOf(email) === -1);
+  const agregar = deseados.filter(email => actuales.indexOf(email) === -1);
+  const cambios = [];
+  
+  if (event.getTitle() !== evento.subject) {
+    event.setTitle(evento.subject);
+    cambios.push(`título "${evento.subject}"`);
+  }
+  if (event.getDescription() !== evento.body) {
+    event.setDescription(evento.body);
+    if (cambios.length === 0) cambios.push('descripción');
+  }
+  quitar.forEach(email => event.removeGuest(email));
+  agregar.forEach(email => event.addGuest(email));
+  if (quitar.length > 0) cambios.push(`invitados retirados: ${quitar.join(', ')}`);
+  if (agregar.length > 0) cambios.push(`invitados agregados: ${agregar.join(', ')}`);
+  
+  if (!esHorarioOnboardingValido(calendar, config, event)) {
+    const horario = buscarHorarioOnboarding(calendar, config, new Date());
+    if (horario) {
+      event.setTime(horario.start, horario.end);
+      cambios.push(`movido a ${formatHorario(horario)}`);
+    } else {
+      logWarn(`Sin horario libre para mover el onboarding de ${user.email}`);
+    }
+  }
+  
+  if (cambios.length === 0) return false;
+  
+  logEvent({
+    type: 'ONBOARDING_MODIFICADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name}: ${cambios.join('; ')} (evento ${user.onboardingEventId})`,
+    status: 'OK',
+    action: 'Evento de Calendar actualizado'
+  });
+  
+  guardarSnapshotOnboarding();
+  return true;
+}
+
+/**
+ * Indica si el evento sigue en un horario que buscarHorarioOnboarding
+ * aceptaría: día laboral, dentro de horaOnboarding-horaFinLaboral y sin
+ * cruzarse con otros eventos del calendario.
+ */
+function esHorarioOnboardingValido(calendar, config, event) {
+  const start = event.getStartTime();
+  const end = event.getEndTime();
+  const inicioJornada = new Date(start);
+  inicioJornada.setHours(config.horaOnboarding, 0, 0, 0);
+  const finJornada = new Date(start);
+  finJornada.setHours(config.horaFinLaboral, 0, 0, 0);
+  
+  if (!esDiaLaboral(start, getFestivos())) return false;
+  if (start < inicioJornada || end > finJornada) return false;
+  
+  const choques = calendar ? calendar.getEvents(start, end).filter(e => e.getId() !== event.getId()) : [];
+  return choques.length === 0;
+}
+
+/**
+ * Cancela los onboardings de usuarios cuya fila ya no está en la hoja,
+ * comparando con la última foto guardada. Llamado por onChangeInstalable
+ * cuando se eliminan filas.
+ * Retorna el número de onboardings cancelados.
+ */
+function procesarFilasEliminadas() {
+  const anterior = leerSnapshotOnboarding();
+  const presentes = getUsers().map(user => normalizeEmail(user.email));
+  const eventosActuales = Object.values(leerOnboardingsAgendados());
+  let cancelados = 0;
+  
+  Object.keys(anterior).forEach(email => {
+    // La fila sigue (quizá con otro email) o el evento ya es de otra fila
+    if (presentes.indexOf(email) !== -1 || eventosActuales.indexOf(anterior[email]) !== -1) return;
+    
+    const user = { email: email, onboarding: ESTADOS_ONBOARDING.AGENDADO, onboardingEventId: anterior[email] };
+    if (cancelarOnboardingUsuario(user, 'fila eliminada de Usuarios')) cancelados++;
+  });
+  
+  guardarSnapshotOnboarding();
+  return cancelados;
+}
+
+/**
+ * Guarda la foto de onboardings agendados para procesarFilasEliminadas.
+ */
+function guardarSnapshotOnboarding() {
+  const agendados = leerOnboardingsAgendados();
+  const filas = [SNAPSHOT_ENCABEZADOS].concat(Object.keys(agendados).map(email => [email, agendados[email]]));
+  const sheet = getSnapshotOnboardingSheet();
+  
+  sheet.clear();
+  sheet.getRange(1, 1, filas.length, SNAPSHOT_ENCABEZADOS.length).setValues(filas);
+}
+
+/**
+ * Última foto guardada como { email: eventId }.
+ */
+function leerSnapshotOnboarding() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SNAPSHOT_ONBOARDING);
+  const anterior = {};
+  
+  if (!sheet || sheet.getLastRow() < 2) return anterior;
+  
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, SNAPSHOT_ENCABEZADOS.length).getValues().forEach(row => {
+    if (row[0]) anterior[row[0]] = row[1];
+  });
+  
+  return anterior;
+}
+
+/**
+ * Hoja de la foto; se crea oculta si no existe.
+ */
+function getSnapshotOnboardingSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SNAPSHOT_ONBOARDING);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(SNAPSHOT_ONBOARDING);
+    sheet.hideSheet();
+  }
+  
+  return sheet;
+}
+
+/**
+ * Onboardings agendados en la hoja Usuarios como { email: eventId }.
+ */
+function leerOnboardingsAgendados() {
+  const agendados = {};
+  
+  getUsers().forEach(user => {
+    if (user.onboarding === ESTADOS_ONBOARDING.AGENDADO && user.onboardingEventId) {
+      agendados[normalizeEmail(user.email)] = user.onboardingEventId;
+    }
+  });
+  
+  return agendados;
+}
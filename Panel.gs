@@ -0,0 +1,211 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Panel.gs
+ * ============================================================================
+ *
+ * Cálculos automáticos: hoja Panel con métricas de usuarios y eventos.
+ *
+ * actualizarPanel reescribe la hoja completa a partir de getUsers y
+ * RegistroDeEventos: usuarios activos e inactivos por grupo, distribución de
+ * roles, días desde el último acceso, onboardings pendientes y eventos por
+ * tipo de los últimos 30 días. Se ejecuta cada hora (trigger) y después de
+ * las ediciones de la hoja Usuarios (onEditInstalable), como máximo una vez
+ * cada PANEL_MINUTOS_EDICION minutos: reconstruir la hoja y leer todo el
+ * registro en cada celda editada haría lenta cada edición.
+ *
+ * Los eventos ya archivados (Archivado.gs) no se cuentan; con
+ * diasRetencionRegistro menor a 30 el conteo de eventos queda incompleto.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+const HOJA_PANEL = 'Panel';
+
+/**
+ * Columnas que ocupa el Panel (las secciones más anchas tienen 4).
+ */
+const PANEL_COLUMNAS = 4;
+
+const PANEL_DIAS_EVENTOS = 30;
+
+/**
+ * Propiedad del script con la hora (ms) de la última actualización.
+ */
+const PANEL_ACTUALIZADO = 'PANEL_ACTUALIZADO';
+
+const PANEL_MINUTOS_EDICION = 10;
+
+/**
+ * Regenera la hoja Panel. Retorna { usuarios, eventos } contados.
+ */
+function actualizarPanel(e) {
+  return ejecutar('actualizarPanel', e, () => {
+    const config = getConfig();
+    const users = getUsers();
+    const eventos = leerEventosRecientes(PANEL_DIAS_EVENTOS);
+    
+    const filas = [['Panel de métricas', 'Actualizado', new Date(), '']]
+      .concat(seccionPanel('Usuarios por grupo', ['Grupo', 'Activos', 'Inactivos', 'Total'], metricasPorGrupo(users)))
+      .concat(seccionPanel('Roles', ['Rol', 'Activos', 'Inactivos', 'Total'], metricasPorRol(users, config.jerarquiaRoles)))
+      .concat(seccionPanel('Último acceso (usuarios activos)', ['Métrica', 'Días', 'Usuario', ''], metricasAcceso(users)))
+      .concat(seccionPanel('Onboarding', ['Estado', 'Usuarios', 'Más antiguo (días)', ''], metricasOnboarding(users)))
+      .concat(seccionPanel(`Eventos de los últimos ${PANEL_DIAS_EVENTOS} días`, ['Tipo', 'Eventos', '', ''], metricasEventos(eventos)));
+    
+    const sheet = getPanelSheet();
+    sheet.clear();
+    sheet.getRange(1, 1, filas.length, PANEL_COLUMNAS).setValues(filas);
+    
+    PropertiesService.getScriptProperties().setProperty(PANEL_ACTUALIZADO, String(Date.now()));
+    
+    logInfo(`Panel actualizado: ${users.length} usuarios, ${eventos.length} eventos`);
+    return { usuarios: users.length, eventos: eventos.length };
+  });
+}
+
+/**
+ * Actualiza el Panel después de una edición si la última actualización tiene
+ * más de PANEL_MINUTOS_EDICION minutos; los cambios intermedios los recoge
+ * la siguiente edición o el trigger de cada hora.
+ * Retorna true si se actualizó.
+ */
+function actualizarPanelTrasEdicion() {
+  const ultima = Number(PropertiesService.getScriptProperties().getProperty(PANEL_ACTUALIZADO)) || 0;
+  
+  if (Date.now() - ultima < PANEL_MINUTOS_EDICION * 60 * 1000) {
+    logDebug('Panel actualizado recientemente, se omite');
+    return false;
+  }
+  
+  actualizarPanel();
+  return true;
+}
+
+/**
+ * Obtiene la hoja Panel, creándola si no existe.
+ */
+function getPanelSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  return ss.getSheetByName(HOJA_PANEL) || ss.insertSheet(HOJA_PANEL);
+}
+
+/**
+ * Filas de una sección: una fila en blanco, el título, los encabezados y
+ * los datos, completadas hasta PANEL_COLUMNAS.
+ */
+function seccionPanel(titulo, encabezados, datos) {
+  const completar = fila => fila.concat(new Array(PANEL_COLUMNAS).fill('')).slice(0, PANEL_COLUMNAS);
+  const cuerpo = datos.length > 0 ? datos : [['Sin datos']];
+  
+  return [completar([]), completar([titulo]), completar(encabezados)].concat(cuerpo.map(completar));
+}
+
+/**
+ * Cuenta activos, inactivos y total por una clave del usuario, más una
+ * fila Total. Las claves vacías se agrupan como "(sin X)".
+ */
+function contarActivosPor(users, clave, vacio, orden) {
+  const conteos = {};
+  users.forEach(user => {
+    const valor = String(user[clave] || '').trim() || vacio;
+    if (!conteos[valor]) conteos[valor] = { activos: 0, inactivos: 0 };
+    conteos[valor][user.active ? 'activos' : 'inactivos']++;
+  });
+  
+  const filas = Object.keys(conteos)
+    .sort(orden || ((a, b) => a.localeCompare(b)))
+    .map(valor => [valor, conteos[valor].activos, conteos[valor].inactivos, conteos[valor].activos + conteos[valor].inactivos]);
+  
+  if (filas.length === 0) return filas;
+  
+  const activos = users.filter(user => user.active).length;
+  return filas.concat([['Total', activos, users.length - activos, users.length]]);
+}
+
+/**
+ * Usuarios activos e inactivos por grupo.
+ */
+function metricasPorGrupo(users) {
+  return contarActivosPor(users, 'group', '(sin grupo)');
+}
+
+/**
+ * Usuarios por rol, en el orden de jerarquiaRoles y después los demás.
+ */
+function metricasPorRol(users, jerarquia) {
+  const posicion = rol => {
+    const index = jerarquia.findIndex(item => item.toLowerCase() === rol.toLowerCase());
+    return index === -1 ? jerarquia.length : index;
+  };
+  
+  return contarActivosPor(users, 'role', '(sin rol)', (a, b) => posicion(a) - posicion(b) || a.localeCompare(b));
+}
+
+/**
+ * Promedio y máximo de días desde el último acceso de los usuarios activos.
+ */
+function metricasAcceso(users) {
+  const accesos = users
+    .filter(user => user.active && user.lastAccess)
+    .map(user => ({ name: user.name, dias: getDaysSinceLastAccess(user.lastAccess) }));
+  
+  if (accesos.length === 0) return [];
+  
+  const total = accesos.reduce((suma, acceso) => suma + acceso.dias, 0);
+  const maximo = accesos.reduce((mayor, acceso) => acceso.dias > mayor.dias ? acceso : mayor);
+  
+  return [
+    ['Promedio', Math.round(total / accesos.length * 10) / 10, '', ''],
+    ['Máximo', maximo.dias, maximo.name, '']
+  ];
+}
+
+/**
+ * Onboardings sin completar de usuarios activos: cuántos hay en cada estado
+ * y los días desde el registro del más antiguo.
+ */
+function metricasOnboarding(users) {
+  return [ESTADOS_ONBOARDING.PENDIENTE, ESTADOS_ONBOARDING.AGENDADO]
+    .map(estado => {
+      const pendientes = users.filter(user => user.active && user.onboarding === estado);
+      const registros = pendientes.filter(user => user.dateRegistered).map(user => getDaysSince(user.dateRegistered));
+      return [estado, pendientes.length, registros.length > 0 ? Math.max.apply(null, registros) : '', ''];
+    })
+    .filter(fila => fila[1] > 0);
+}
+
+/**
+ * Eventos por tipo, de mayor a menor, más una fila Total.
+ */
+function metricasEventos(eventos) {
+  const conteos = {};
+  eventos.forEach(row => { conteos[row[1]] = (conteos[row[1]] || 0) + 1; });
+  
+  const filas = Object.keys(conteos)
+    .sort((a, b) => conteos[b] - conteos[a] || a.localeCompare(b))
+    .map(tipo => [tipo, conteos[tipo]]);
+  
+  return filas.length > 0 ? filas.concat([['Total', eventos.length]]) : filas;
+}
+
+/**
+ * Filas de RegistroDeEventos de los últimos N días (sin los punteros de
+ * archivo).
+ */
+function leerEventosRecientes(dias) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('RegistroDeEventos');
+  if (!sheet) return [];
+  
+  const desde = new Date(Date.now() - dias * 24 * 60 * 60 * 1000);
+  
+  return sheet.getDataRange().getValues()
+    .slice(1)
+    .filter(row => row[0] instanceof Date && row[0] >= desde && !esPunteroArchivo(row));
+}
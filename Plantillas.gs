@@ -0,0 +1,436 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Plantillas.gs
+ * ============================================================================
+ *
+ * Plantillas de mensajes editables desde la hoja Plantillas.
+ *
+ * Estructura de la hoja: Clave | Asunto | Texto | HTML
+ * Marcadores: {{nombre}}, {{usuario.email}} y bloques
+ * {{#each usuarios}}...{{/each}} para repetir filas de tablas.
+ * En la columna HTML los valores se escapan; {{{campo}}} inserta HTML sin
+ * escapar y solo debe usarse con valores de confianza.
+ * Si una clave no está en la hoja se usa la plantilla por defecto.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// PLANTILLAS POR DEFECTO
+// ============================================================================
+
+const PLANTILLAS_POR_DEFECTO = {
+  USUARIO_INACTIVO: {
+    asunto: '⚠️ Usuario inactivo detectado',
+    texto: `El usuario {{nombre}} ({{email}}) del grupo {{grupo}} fue marcado como inactivo.
+
+Fecha: {{fecha}}
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  USUARIO_REACTIVADO: {
+    asunto: '🔄 Usuario reactivado',
+    texto: `El usuario {{nombre}} ({{email}}) del grupo {{grupo}} fue reactivado por {{reactivadoPor}}.
+
+Fecha: {{fecha}}
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  ROL_ADMIN: {
+    asunto: '⚠️ Cambio Crítico: Nuevo Administrador',
+    texto: `ATENCIÓN: {{nombre}} fue promovido a Admin.
+
+Email: {{email}}
+Grupo: {{grupo}}
+Rol anterior: {{rolAnterior}}
+Fecha: {{fecha}}
+
+Verifica que este cambio esté autorizado.
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  APROBACION_ADMIN: {
+    asunto: '🔐 Aprobación requerida: {{nombre}} como Admin',
+    texto: `Se solicitó promover a {{nombre}} ({{email}}) de {{rolAnterior}} a Admin.
+
+Grupo: {{grupo}}
+Solicitado por: {{solicitante}}
+Fecha: {{fecha}}
+
+Aprobar: {{urlAprobar}}
+Rechazar: {{urlRechazar}}
+
+Mientras no se apruebe, el usuario conserva el rol {{rolAnterior}}. La solicitud expira el {{expira}}.
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  ROL_EXPIRADO: {
+    asunto: '⏱️ Rol temporal vencido: {{nombre}}',
+    texto: `El rol temporal {{rolAnterior}} de {{nombre}} ({{email}}) venció el {{expira}}.
+
+El usuario volvió al rol {{rolNuevo}}.
+
+Grupo: {{grupo}}
+Fecha: {{fecha}}
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  ROL_PRIVILEGIADO: {
+    asunto: '⚠️ Cambio de rol privilegiado: {{nombre}}',
+    texto: `{{nombre}} ({{email}}) pasó de {{rolAnterior}} a {{rolNuevo}} ({{cambio}}).
+
+Grupo: {{grupo}}
+Fecha: {{fecha}}
+
+Verifica que este cambio esté autorizado.
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  SIN_ADMINS: {
+    asunto: '🚨 No quedan administradores activos',
+    texto: `{{nombre}} ({{email}}) era el último Admin activo y {{motivo}}.
+
+No queda ningún usuario activo con rol Admin. Asigna un nuevo administrador.
+
+Fecha: {{fecha}}
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  REGISTRO_ALTERADO: {
+    asunto: '🚨 RegistroDeEventos alterado: {{total}} problemas',
+    texto: `La verificación diaria de RegistroDeEventos encontró filas que no coinciden con su cadena de hashes:
+
+{{problemas}}
+
+Revisa el historial de versiones de la hoja para identificar el cambio.
+
+Fecha: {{fecha}}
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  USUARIO_AGREGADO: {
+    asunto: '✅ Nuevo usuario agregado',
+    texto: '',
+    html: `
+    <h2>Nuevo Usuario Registrado</h2>
+    <table border="1" cellpadding="8" style="border-collapse: collapse;">
+      <tr><td><strong>Nombre:</strong></td><td>{{nombre}}</td></tr>
+      <tr><td><strong>Email:</strong></td><td>{{email}}</td></tr>
+      <tr><td><strong>Rol:</strong></td><td>{{rol}}</td></tr>
+      <tr><td><strong>Grupo:</strong></td><td>{{grupo}}</td></tr>
+      <tr><td><strong>Fecha:</strong></td><td>{{fecha}}</td></tr>
+    </table>
+    <p style="color: #666; margin-top: 20px;">Sistema de Gestión Workspace - Turing IA</p>
+  `
+  },
+
+  ONBOARDING_EVENTO: {
+    asunto: '🎯 Onboarding: {{nombre}}',
+    texto: `Sesión de Onboarding
+
+👤 Usuario: {{nombre}}
+📧 Email: {{email}}
+🏷️ Rol: {{rol}}
+👥 Grupo: {{grupo}}
+
+Agenda:
+1. Bienvenida al equipo
+2. Explicación de roles y permisos
+3. Tour por herramientas
+4. Asignación de tareas
+
+Sistema de Gestión Workspace - Turing IA`,
+    html: ''
+  },
+
+  REPORTE_INACTIVOS: {
+    asunto: '📊 Reporte Diario - {{fechaCorta}}',
+    texto: '',
+    html: `
+    <h2>📊 Reporte Diario - Usuarios Inactivos</h2>
+    <p>Se detectaron <strong>{{total}}</strong> usuarios sin actividad:</p>
+    <table border="1" cellpadding="8" style="border-collapse: collapse; width: 100%;">
+      <thead>
+        <tr style="background-color: #4285f4; color: white;">
+          <th>Usuario</th><th>Grupo</th><th>Días Inactivo</th>
+        </tr>
+      </thead>
+      <tbody>{{#each usuarios}}<tr>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{nombre}}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{grupo}}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{dias}} días</td>
+    </tr>{{/each}}</tbody>
+    </table>
+    <p style="margin-top: 20px; color: #666;">
+      Fecha: {{fechaCorta}}<br>
+      Sistema de Gestión Workspace - Turing IA
+    </p>
+  `
+  },
+
+  RESUMEN_NOTIFICACIONES: {
+    asunto: '📬 Resumen de notificaciones - {{total}} eventos',
+    texto: '',
+    html: `
+    <h2>📬 Resumen de notificaciones</h2>
+    <p>Eventos registrados desde el último resumen: <strong>{{total}}</strong></p>
+    <table border="1" cellpadding="8" style="border-collapse: collapse; width: 100%;">
+      <thead>
+        <tr style="background-color: #4285f4; color: white;">
+          <th>Fecha</th><th>Evento</th><th>Usuario</th><th>Detalle</th>
+        </tr>
+      </thead>
+      <tbody>{{#each eventos}}<tr>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{fechaEvento}}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{evento}}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{usuario}}</td>
+      <td style="padding: 8px; border: 1px solid #ddd;">{{resumen}}</td>
+    </tr>{{/each}}</tbody>
+    </table>
+    <p style="margin-top: 20px; color: #666;">
+      Fecha: {{fechaCorta}}<br>
+      Sistema de Gestión Workspace - Turing IA
+    </p>
+  `
+  }
+};
+
+/**
+ * Datos de ejemplo para previsualizar plantillas.
+ */
+const DATOS_EJEMPLO = {
+  nombre: 'Pedro Ramírez',
+  email: 'pedro.ramirez@empresa.com',
+  rol: 'Editor',
+  grupo: 'IT',
+  reactivadoPor: 'admin@empresa.com',
+  rolAnterior: 'Viewer',
+  rolNuevo: 'Editor',
+  cambio: 'promoción',
+  motivo: 'fue desactivado',
+  solicitante: 'jefa.rh@empresa.com',
+  urlAprobar: 'https://script.google.com/macros/s/ID/exec?accion=aprobar&token=TOKEN',
+  urlRechazar: 'https://script.google.com/macros/s/ID/exec?accion=rechazar&token=TOKEN',
+  expira: '15/1/2026, 10:00:00',
+  total: 2,
+  problemas: 'Fila 14 - MODIFICADA: el contenido de la secuencia 13 no coincide con su hash',
+  usuarios: [
+    { nombre: 'Luis Pérez', grupo: 'RH', dias: 10 },
+    { nombre: 'Ana López', grupo: 'Finanzas', dias: 12 }
+  ],
+  eventos: [
+    { fechaEvento: '19/1/2026, 9:00:00', evento: 'USUARIO_AGREGADO', usuario: 'pedro.ramirez@empresa.com', resumen: 'Pedro Ramírez - Rol: Editor, Grupo: IT' }
+  ]
+};
+
+// ============================================================================
+// MOTOR DE PLANTILLAS
+// ============================================================================
+
+/**
+ * Reemplaza los marcadores de una plantilla con los datos indicados.
+ * {{campo}} o {{objeto.campo}}: valor (vacío si no existe).
+ * {{{campo}}}: valor sin escapar (HTML de confianza).
+ * {{#each lista}}...{{/each}}: repite el bloque por cada elemento; dentro del
+ * bloque los campos del elemento tienen prioridad sobre los generales.
+ * Con escape = true (plantillas HTML) los valores {{campo}} se escapan,
+ * salvo los creados con trustedHtml().
+ * Los marcadores se resuelven en una sola pasada: un valor insertado nunca
+ * se vuelve a interpretar como plantilla.
+ */
+function renderTemplate(template, data, escape) {
+  if (!template) return '';
+  
+  const marcadores = /\{\{#each\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/each\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+  
+  return template.replace(marcadores, (match, lista, block, raw, path) => {
+    if (lista) {
+      const items = resolvePath(data, lista);
+      if (!Array.isArray(items)) return '';
+      return items.map(item => renderTemplate(block, Object.assign({}, data, item), escape)).join('');
+    }
+    
+    if (raw) return templateValue(resolvePath(data, raw), false);
+    
+    return templateValue(resolvePath(data, path), escape);
+  });
+}
+
+/**
+ * Texto de un valor de plantilla, escapado si corresponde.
+ */
+function templateValue(value, escape) {
+  if (value === undefined || value === null) return '';
+  if (isTrustedHtml(value)) return value.html;
+  return escape ? escapeHtml(value) : String(value);
+}
+
+/**
+ * Obtiene un valor anidado ("usuario.email") de un objeto.
+ */
+function resolvePath(data, path) {
+  return path.split('.').reduce((value, key) => {
+    return value === undefined || value === null ? undefined : value[key];
+  }, data);
+}
+
+// ============================================================================
+// ESCAPE DE HTML
+// ============================================================================
+
+/**
+ * Escapa un valor para insertarlo en HTML (contenido o atributos).
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Marca un fragmento HTML generado por el sistema como confiable para que
+ * las plantillas lo inserten sin escapar. Nunca usar con datos de la hoja.
+ */
+function trustedHtml(html) {
+  return { trustedHtml: true, html: String(html) };
+}
+
+/**
+ * Indica si un valor fue marcado con trustedHtml().
+ */
+function isTrustedHtml(value) {
+  return value !== null && typeof value === 'object' && value.trustedHtml === true;
+}
+
+// ============================================================================
+// LECTURA DE PLANTILLAS
+// ============================================================================
+
+/**
+ * Obtiene una plantilla { asunto, texto, html } por clave.
+ * La hoja Plantillas tiene prioridad sobre las plantillas por defecto.
+ */
+function getTemplate(key) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName('Plantillas');
+  
+  if (sheet) {
+    const data = sheet.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+      if (String(data[i][0]).trim() === key) {
+        return {
+          asunto: String(data[i][1] || ''),
+          texto: String(data[i][2] || ''),
+          html: String(data[i][3] || '')
+        };
+      }
+    }
+  }
+  
+  const template = PLANTILLAS_POR_DEFECTO[key];
+  if (!template) {
+    throw new Error(`Plantilla no encontrada: ${key}`);
+  }
+  return template;
+}
+
+/**
+ * Genera asunto y cuerpos de una notificación a partir de su plantilla.
+ * Agrega los datos comunes fecha y fechaCorta. Solo el cuerpo HTML se
+ * escapa: asunto y texto plano no se interpretan como HTML.
+ */
+function renderNotification(key, data) {
+  const template = getTemplate(key);
+  const now = new Date();
+  const values = Object.assign({
+    fecha: now.toLocaleString('es-MX'),
+    fechaCorta: now.toLocaleDateString('es-MX')
+  }, data);
+  
+  return {
+    subject: renderTemplate(template.asunto, values),
+    body: renderTemplate(template.texto, values),
+    htmlBody: renderTemplate(template.html, values, true)
+  };
+}
+
+/**
+ * Datos de plantilla para un usuario.
+ */
+function userTemplateData(user) {
+  return {
+    nombre: user.name,
+    email: user.email,
+    rol: user.role,
+    grupo: user.group
+  };
+}
+
+// ============================================================================
+// ADMINISTRACIÓN
+// ============================================================================
+
+/**
+ * Muestra en el log cómo queda una plantilla con datos de ejemplo.
+ * Ejecutar manualmente cambiando la clave (ej: previewPlantilla('USUARIO_AGREGADO')).
+ */
+function previewPlantilla(key, data) {
+  const rendered = renderNotification(key || 'USUARIO_AGREGADO', Object.assign({}, DATOS_EJEMPLO, data));
+  
+  Logger.log('Asunto: ' + rendered.subject);
+  if (rendered.body) Logger.log('Texto:\n' + rendered.body);
+  if (rendered.htmlBody) Logger.log('HTML:\n' + rendered.htmlBody);
+  
+  return rendered;
+}
+
+/**
+ * Crea la hoja Plantillas (si no existe) y agrega las claves que falten
+ * con su texto por defecto, para editarlas desde la hoja.
+ */
+function crearHojaPlantillas() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName('Plantillas');
+  
+  if (!sheet) {
+    sheet = ss.insertSheet('Plantillas');
+    sheet.appendRow(['Clave', 'Asunto', 'Texto', 'HTML']);
+    sheet.setFrozenRows(1);
+  }
+  
+  const existentes = sheet.getDataRange().getValues().map(row => String(row[0]).trim());
+  const agregadas = [];
+  
+  Object.keys(PLANTILLAS_POR_DEFECTO).forEach(key => {
+    if (existentes.indexOf(key) !== -1) return;
+    
+    const template = PLANTILLAS_POR_DEFECTO[key];
+    sheet.appendRow([key, template.asunto, template.texto, template.html.trim()]);
+    agregadas.push(key);
+  });
+  
+  Logger.log(`Plantillas agregadas: ${agregadas.length ? agregadas.join(', ') : 'ninguna'}`);
+  return agregadas;
+}
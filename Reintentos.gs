@@ -0,0 +1,298 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Reintentos.gs
+ * ============================================================================
+ *
+ * Cola persistente de operaciones fallidas (emails y eventos de Calendar).
+ *
+ * Cuando un envío falla (o un email se difiere por cuota baja) se guarda en
+ * la hoja OperacionesPendientes con sus datos, el número de intentos y el
+ * último error. El trigger reintentarOperacionesPendientes (cada
+ * intervaloReintentosMin) la reintenta con espera exponencial hasta
+ * reintentosMaximos y registra el resultado final como un evento
+ * REINTENTO_RESUELTO que referencia al evento original (el registro no se
+ * modifica, ver Auditoria.gs).
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// HOJA DE OPERACIONES PENDIENTES
+// ============================================================================
+
+const OPERACIONES_PENDIENTES = 'OperacionesPendientes';
+
+const OPERACIONES_ENCABEZADOS = [
+  'Creada', 'Tipo', 'Descripción', 'Datos', 'Intentos', 'Último Error',
+  'Próximo Intento', 'Estado', 'Secuencia Registro', 'Actualizada', 'ID'
+];
+
+const COLUMNA_ID_OPERACION = OPERACIONES_ENCABEZADOS.indexOf('ID') + 1;
+
+/**
+ * Textos de la columna "Acción" del registro por tipo de operación. El
+ * evento original conserva el texto pendiente; el resultado final se
+ * registra en un evento REINTENTO_RESUELTO.
+ */
+const OPERACIONES_ACCION = {
+  EMAIL: {
+    pendiente: 'Email en reintento',
+    exito: intentos => `Email enviado (intento ${intentos})`,
+    fallo: intentos => `Email fallido tras ${intentos} intentos`
+  },
+  CALENDARIO: {
+    pendiente: 'evento en reintento',
+    exito: intentos => `evento creado (intento ${intentos})`,
+    fallo: intentos => `evento fallido tras ${intentos} intentos`,
+    cancelada: () => 'evento cancelado: el usuario fue desactivado o eliminado'
+  }
+};
+
+/**
+ * Hoja de operaciones pendientes; se crea con encabezados si no existe.
+ */
+function getOperacionesSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(OPERACIONES_PENDIENTES);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(OPERACIONES_PENDIENTES);
+    sheet.appendRow(OPERACIONES_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Guarda una operación fallida para reintentarla.
+ * tipo: EMAIL | CALENDARIO; datos: lo necesario para repetirla (JSON).
+ * Retorna el ID de la operación (no su fila: otra ejecución puede agregar
+ * filas al mismo tiempo).
+ */
+function registrarOperacionFallida(tipo, descripcion, datos, error) {
+  const sheet = getOperacionesSheet();
+  const ahora = new Date();
+  const id = Utilities.getUuid();
+  
+  sheet.appendRow([
+    ahora,
+    tipo,
+    descripcion,
+    JSON.stringify(datos),
+    1,
+    error.message,
+    calcularProximoIntento(1, ahora),
+    'PENDIENTE',
+    '',
+    ahora,
+    id
+  ]);
+  
+  logWarn(`Operación ${tipo} en cola de reintentos: ${descripcion}`);
+  return id;
+}
+
+/**
+ * Asocia operaciones pendientes (por su ID) con la secuencia de su evento
+ * en RegistroDeEventos, para referenciarlo cuando se resuelvan.
+ */
+function vincularOperacionesRegistro(ids, secuencia) {
+  if (!ids || ids.length === 0 || !secuencia) return;
+  
+  const sheet = getOperacionesSheet();
+  const columna = OPERACIONES_ENCABEZADOS.indexOf('Secuencia Registro') + 1;
+  const existentes = sheet.getRange(1, COLUMNA_ID_OPERACION, sheet.getLastRow(), 1).getValues();
+  
+  existentes.forEach((row, index) => {
+    if (row[0] && ids.indexOf(row[0]) !== -1) sheet.getRange(index + 1, columna).setValue(secuencia);
+  });
+}
+
+/**
+ * Fecha del siguiente intento: intervaloReintentosMin * 2^(intentos - 1).
+ */
+function calcularProximoIntento(intentos, desde) {
+  const config = getConfig();
+  const minutos = config.intervaloReintentosMin * Math.pow(2, intentos - 1);
+  return new Date(desde.getTime() + minutos * 60 * 1000);
+}
+
+// ============================================================================
+// REINTENTOS
+// ============================================================================
+
+/**
+ * Reintenta las operaciones pendientes cuyo próximo intento ya venció.
+ * Trigger creado por instalarTriggers (cada intervaloReintentosMin).
+ * Retorna { completadas, fallidas, pendientes }.
+ */
+function reintentarOperacionesPendientes(e) {
+  return ejecutar('reintentarOperacionesPendientes', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(OPERACIONES_PENDIENTES);
+    const resultado = { completadas: 0, fallidas: 0, pendientes: 0 };
+    
+    if (!sheet || sheet.getLastRow() < 2) {
+      logDebug('Sin operaciones pendientes');
+      return resultado;
+    }
+    
+    const config = getConfig();
+    const ahora = new Date();
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, OPERACIONES_ENCABEZADOS.length).getValues();
+    let procesadas = 0;
+    
+    data.forEach((row, index) => {
+      if (row[7] !== 'PENDIENTE') return;
+      if (row[6] instanceof Date && row[6] > ahora) {
+        resultado.pendientes++;
+        return;
+      }
+      
+      const tipo = row[1];
+      let datos;
+      
+      try {
+        datos = JSON.parse(row[3]);
+        if (!datos || typeof datos !== 'object') throw new Error('no es un objeto JSON');
+      } catch (error) {
+        // Una fila dañada o editada a mano no detiene los demás reintentos
+        logError(`Operación en la fila ${index + 2} con datos no válidos: ${error.message}`);
+        row[5] = 'Datos no válidos: ' + error.message;
+        row[7] = 'FALLIDA';
+        row[9] = ahora;
+        sheet.getRange(index + 2, 1, 1, row.length).setValues([row]);
+        resultado.fallidas++;
+        procesadas++;
+        registrarResultadoOperacion(row[8], tipo, 'FALLIDA', Number(row[4]) || 0);
+        return;
+      }
+      
+      // El onboarding de un usuario desactivado o eliminado ya no se crea
+      if (operacionCancelada(tipo, datos)) {
+        logInfo(`Operación en la fila ${index + 2} cancelada: ${datos.usuario} ya no está activo`);
+        row[7] = 'CANCELADA';
+        row[9] = ahora;
+        sheet.getRange(index + 2, 1, 1, row.length).setValues([row]);
+        registrarResultadoOperacion(row[8], tipo, 'CANCELADA', Number(row[4]) || 0);
+        return;
+      }
+      
+      // Sin cuota de email se espera sin contar el intento
+      if (tipo === 'EMAIL' && !getEmailQuota(datos.recipients, datos.priority).permitido) {
+        row[6] = calcularProximoIntento(1, ahora);
+        sheet.getRange(index + 2, 7).setValue(row[6]);
+        resultado.pendientes++;
+        return;
+      }
+      
+      const intentos = Number(row[4]) + 1;
+      procesadas++;
+      
+      try {
+        ejecutarOperacion(tipo, datos);
+        row[7] = 'COMPLETADA';
+        resultado.completadas++;
+        registrarResultadoOperacion(row[8], tipo, 'COMPLETADA', intentos);
+      
+      } catch (error) {
+        row[5] = error.message;
+        
+        if (intentos >= config.reintentosMaximos) {
+          row[7] = 'FALLIDA';
+          resultado.fallidas++;
+          registrarResultadoOperacion(row[8], tipo, 'FALLIDA', intentos);
+        } else {
+          row[6] = calcularProximoIntento(intentos, ahora);
+          resultado.pendientes++;
+        }
+      }
+      
+      row[4] = intentos;
+      row[9] = ahora;
+      sheet.getRange(index + 2, 1, 1, row.length).setValues([row]);
+    });
+    
+    if (procesadas > 0) {
+      logEvent({
+        type: 'REINTENTOS',
+        user: 'Sistema',
+        details: `${resultado.completadas} completadas, ${resultado.fallidas} fallidas, ${resultado.pendientes} pendientes`,
+        status: resultado.fallidas > 0 ? 'ERROR' : 'OK',
+        action: resultado.fallidas > 0 ? 'Revisar OperacionesPendientes' : 'Ninguna'
+      });
+    }
+    
+    return resultado;
+  });
+}
+
+/**
+ * Indica si una operación ya no debe repetirse: el evento de onboarding de
+ * un usuario que se desactivó o se eliminó de la hoja mientras esperaba.
+ */
+function operacionCancelada(tipo, datos) {
+  if (tipo !== 'CALENDARIO' || !datos.usuario) return false;
+  
+  const user = findUserByEmail(datos.usuario);
+  return !user || !user.active;
+}
+
+/**
+ * Repite una operación. Lanza el error si vuelve a fallar.
+ */
+function ejecutarOperacion(tipo, datos) {
+  if (tipo === 'EMAIL') {
+    if (!sendEmailTo(datos.recipients, datos.subject, datos.body, datos.options)) {
+      throw new Error('Sin destinatarios');
+    }
+    return;
+  }
+  
+  if (tipo === 'CALENDARIO') {
+    const calendar = CalendarApp.getCalendarById(datos.calendarioId);
+    if (!calendar) {
+      throw new Error('Calendario no encontrado: ' + datos.calendarioId);
+    }
+    const event = calendar.createEvent(datos.title, new Date(datos.start), new Date(datos.end), datos.options);
+    if (datos.usuario) registrarOnboardingAgendado(datos.usuario, event.getId());
+    return;
+  }
+  
+  throw new Error('Tipo de operación desconocido: ' + tipo);
+}
+
+/**
+ * Registra el resultado final de una operación (estado COMPLETADA, FALLIDA
+ * o CANCELADA) como un evento nuevo que referencia al evento original por
+ * su secuencia (el original conserva el texto "en reintento"; las filas del
+ * registro no se modifican).
+ */
+function registrarResultadoOperacion(secuencia, tipo, estado, intentos) {
+  const textos = OPERACIONES_ACCION[tipo];
+  if (!textos) return;
+  
+  const original = buscarEventoPorSecuencia(secuencia);
+  const final = estado === 'COMPLETADA' ? textos.exito(intentos)
+    : estado === 'CANCELADA' ? textos.cancelada(intentos)
+    : textos.fallo(intentos);
+  
+  let referencia = 'Operación sin evento vinculado';
+  if (original) {
+    referencia = `Resultado del evento #${secuencia} (${original[1]} del ${new Date(original[0]).toLocaleString('es-MX')})`;
+  } else if (secuencia) {
+    referencia = `Resultado del evento #${secuencia} (ya no está en RegistroDeEventos)`;
+  }
+  
+  logEvent({
+    type: 'REINTENTO_RESUELTO',
+    user: original ? original[2] : 'Sistema',
+    details: `${referencia}: ${final}`,
+    status: estado === 'COMPLETADA' ? 'OK' : estado === 'CANCELADA' ? 'WARNING' : 'ERROR',
+    action: final
+  });
+}
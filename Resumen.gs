@@ -0,0 +1,224 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Resumen.gs
+ * ============================================================================
+ *
+ * Modo resumen (digest) de notificaciones.
+ *
+ * Los eventos configurados con modo<Evento> = resumen no se envían al
+ * momento: notifyEvent los guarda en la hoja ColaNotificaciones y
+ * enviarResumenNotificaciones (trigger cada intervaloResumenHoras) envía un
+ * solo mensaje agrupado por destinatarios. Las notificaciones críticas
+ * (promoción a Admin) siempre se envían de inmediato. Las filas enviadas se
+ * eliminan de la cola (el envío queda en RegistroDeEventos como
+ * RESUMEN_ENVIADO); las que fallan siguen PENDIENTE para el próximo resumen,
+ * solo con el canal (email o Chat) que no se entregó.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// COLA DE NOTIFICACIONES
+// ============================================================================
+
+const COLA_NOTIFICACIONES = 'ColaNotificaciones';
+
+const COLA_ENCABEZADOS = ['Fecha', 'Evento', 'Usuario', 'Resumen', 'Destinatarios', 'Chat', 'Estado'];
+
+/**
+ * Indica si un evento debe ir a la cola en lugar de enviarse al momento.
+ */
+function isDigestEvent(eventType, priority, config) {
+  const suffix = EVENTOS_NOTIFICACION[eventType];
+  return Boolean(suffix) && priority !== 'critica' && config['modo' + suffix] === 'resumen';
+}
+
+/**
+ * Agrega una notificación a la cola del resumen.
+ * Los destinatarios se resuelven ahora para conservar el contexto del
+ * usuario (ej: "lideres" de su grupo).
+ */
+function enqueueNotification(eventType, message, channels) {
+  const sheet = getColaSheet();
+  const config = getConfig();
+  let recipients = null;
+  
+  if (channels.email && config.notificarAdmins) {
+    recipients = resolveRecipients(eventType, { user: message.user });
+    if (recipients.to.length === 0) recipients = null;
+  }
+  
+  sheet.appendRow([
+    new Date(),
+    eventType,
+    message.user ? normalizeEmail(message.user.email) : 'Sistema',
+    message.summary || message.subject,
+    recipients ? JSON.stringify(recipients) : '',
+    channels.chat,
+    'PENDIENTE'
+  ]);
+  
+  logDebug(`Notificación en cola para resumen: ${eventType}`);
+}
+
+/**
+ * Hoja de la cola; se crea con encabezados si no existe.
+ */
+function getColaSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(COLA_NOTIFICACIONES);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(COLA_NOTIFICACIONES);
+    sheet.appendRow(COLA_ENCABEZADOS);
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+// ============================================================================
+// ENVÍO DEL RESUMEN
+// ============================================================================
+
+/**
+ * Envía los resúmenes pendientes: un email por cada conjunto de
+ * destinatarios y un mensaje de Chat con todos los eventos para Chat.
+ * Trigger creado por instalarTriggers (cada intervaloResumenHoras).
+ */
+function enviarResumenNotificaciones(e) {
+  return ejecutar('enviarResumenNotificaciones', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(COLA_NOTIFICACIONES);
+    
+    if (!sheet || sheet.getLastRow() < 2) {
+      logDebug('Sin notificaciones en cola');
+      return 0;
+    }
+    
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, COLA_ENCABEZADOS.length).getValues();
+    const pendientes = [];
+    
+    data.forEach((row, index) => {
+      if (row[6] !== 'PENDIENTE') return;
+      pendientes.push({
+        index: index,
+        fecha: row[0],
+        evento: row[1],
+        usuario: row[2],
+        resumen: row[3],
+        destinatarios: row[4] ? JSON.parse(row[4]) : null,
+        chat: parseBoolean(row[5]),
+        emailOk: !row[4],
+        chatOk: !parseBoolean(row[5])
+      });
+    });
+    
+    if (pendientes.length === 0) {
+      logDebug('Sin notificaciones en cola');
+      return 0;
+    }
+    
+    // Email: un resumen por conjunto de destinatarios
+    const grupos = {};
+    pendientes.filter(p => p.destinatarios).forEach(p => {
+      const clave = JSON.stringify(p.destinatarios);
+      (grupos[clave] = grupos[clave] || []).push(p);
+    });
+    
+    Object.keys(grupos).forEach(clave => {
+      const items = grupos[clave];
+      const message = renderDigest(items);
+      const reintentos = [];
+      const enviado = sendHtmlNotification(message.subject, message.htmlBody, {
+        recipients: items[0].destinatarios,
+        pendientes: reintentos
+      });
+      // Si quedó en la cola de reintentos no se vuelve a enviar en el próximo resumen
+      items.forEach(p => { p.emailOk = enviado || reintentos.length > 0; });
+    });
+    
+    // Chat: un solo mensaje con todos los eventos para Chat
+    const paraChat = pendientes.filter(p => p.chat);
+    if (paraChat.length > 0) {
+      const subject = renderDigest(paraChat).subject;
+      const enviado = sendChatMessage(buildChatCard(
+        subject,
+        null,
+        paraChat.map(p => ({ label: `${p.evento} · ${formatDigestDate(p.fecha)}`, value: p.resumen }))
+      ));
+      paraChat.forEach(p => { p.chatOk = enviado; });
+    }
+    
+    // En las filas con algún canal pendiente se quita el que ya se entregó
+    // (Destinatarios vacío, Chat FALSE): el próximo resumen solo reintenta
+    // el que falló
+    pendientes.filter(p => !p.emailOk || !p.chatOk).forEach(p => {
+      sheet.getRange(p.index + 2, 5, 1, 2).setValues([[
+        p.emailOk ? '' : data[p.index][4],
+        p.chatOk ? false : data[p.index][5]
+      ]]);
+    });
+    
+    // Las enviadas salen de la cola
+    const enviadas = pendientes.filter(p => p.emailOk && p.chatOk).map(p => p.index);
+    const enviados = enviadas.length;
+    eliminarFilasCola(sheet, enviadas);
+    
+    logEvent({
+      type: 'RESUMEN_ENVIADO',
+      user: 'Sistema',
+      details: `${enviados} de ${pendientes.length} notificaciones enviadas en resumen`,
+      status: enviados === pendientes.length ? 'OK' : 'WARNING',
+      action: enviados === pendientes.length ? 'Resumen enviado' : 'Pendientes se reintentan en el próximo resumen'
+    });
+    
+    return enviados;
+  });
+}
+
+/**
+ * Elimina filas de la cola (índices desde la fila 2, ordenados) en bloques
+ * contiguos, de abajo hacia arriba para no mover las que faltan. Una hoja
+ * no puede quedar sin filas sin inmovilizar: si se eliminarían todas, la
+ * primera se vacía en lugar de eliminarse.
+ */
+function eliminarFilasCola(sheet, indices) {
+  if (indices.length > 0 && indices.length >= sheet.getMaxRows() - 1) {
+    sheet.getRange(2, 1, 1, COLA_ENCABEZADOS.length).clearContent();
+    indices = indices.slice(1);
+  }
+  
+  let fin = indices.length - 1;
+  while (fin >= 0) {
+    let inicio = fin;
+    while (inicio > 0 && indices[inicio - 1] === indices[inicio] - 1) inicio--;
+    sheet.deleteRows(indices[inicio] + 2, fin - inicio + 1);
+    fin = inicio - 1;
+  }
+}
+
+/**
+ * Asunto y HTML del resumen a partir de la plantilla RESUMEN_NOTIFICACIONES.
+ */
+function renderDigest(items) {
+  return renderNotification('RESUMEN_NOTIFICACIONES', {
+    total: items.length,
+    eventos: items.map(p => ({
+      evento: p.evento,
+      fechaEvento: formatDigestDate(p.fecha),
+      usuario: p.usuario,
+      resumen: p.resumen
+    }))
+  });
+}
+
+/**
+ * Fecha de un evento para el resumen.
+ */
+function formatDigestDate(date) {
+  return date instanceof Date ? date.toLocaleString('es-MX') : String(date);
+}
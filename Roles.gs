@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * WORKSPACE AUTOMATION - TURING IA
+ * Archivo: Roles.gs
+ * ============================================================================
+ *
+ * Jerarquía de roles y alertas de cambios de rol.
+ *
+ * jerarquiaRoles (Configuración) ordena los roles de menor a mayor
+ * privilegio (por defecto: Viewer, Editor, Admin); un cambio hacia arriba
+ * es una promoción y hacia abajo una degradación. Los cambios que involucran
+ * rolesPrivilegiados se notifican como críticos, y si ya no queda ningún
+ * Admin activo se envía la alerta SIN_ADMINS.
+ *
+ * Roles temporales: si la hoja Usuarios tiene la columna "Rol Expira", cada
+ * cambio de rol guarda el rol previo en "Rol Anterior" y
+ * revertirRolesExpirados (cada hora) lo restaura al llegar la fecha.
+ *
+ * Autor: José Enrique Guerrero Pérez
+ * Fecha: Enero 2026
+ * ============================================================================
+ */
+
+// ============================================================================
+// JERARQUÍA
+// ============================================================================
+
+/**
+ * Rol con acceso total; el sistema alerta si no queda ninguno activo.
+ */
+const ROL_ADMIN = 'Admin';
+
+const CAMBIOS_ROL = {
+  PROMOCION: 'promoción',
+  DEGRADACION: 'degradación',
+  LATERAL: 'cambio fuera de la jerarquía',
+  DESCONOCIDO: 'rol anterior desconocido',
+  SIN_CAMBIO: 'sin cambio'
+};
+
+/**
+ * Clasifica un cambio de rol según la jerarquía (sin distinguir mayúsculas).
+ * Retorna una clave de CAMBIOS_ROL.
+ */
+function clasificarCambioRol(anterior, nuevo, jerarquia) {
+  if (!anterior) return 'DESCONOCIDO';
+  
+  const niveles = jerarquia.map(rol => rol.toLowerCase());
+  const desde = niveles.indexOf(String(anterior).toLowerCase());
+  const hasta = niveles.indexOf(String(nuevo).toLowerCase());
+  
+  if (String(anterior).toLowerCase() === String(nuevo).toLowerCase()) return 'SIN_CAMBIO';
+  if (desde === -1 || hasta === -1) return 'LATERAL';
+  return hasta > desde ? 'PROMOCION' : 'DEGRADACION';
+}
+
+/**
+ * Indica si un rol está en rolesPrivilegiados.
+ */
+function esRolPrivilegiado(rol, config) {
+  if (!rol) return false;
+  return config.rolesPrivilegiados.some(privilegiado => privilegiado.toLowerCase() === String(rol).toLowerCase());
+}
+
+/**
+ * Indica si un rol es Admin, sin distinguir mayúsculas ni espacios
+ * (igual que clasificarCambioRol).
+ */
+function esRolAdmin(rol) {
+  return String(rol || '').trim().toLowerCase() === ROL_ADMIN.toLowerCase();
+}
+
+/**
+ * Número de usuarios activos con rol Admin en la hoja Usuarios.
+ */
+function contarAdminsActivos() {
+  return getUsers().filter(u => u.active && esRolAdmin(u.role)).length;
+}
+
+// ============================================================================
+// ALERTAS
+// ============================================================================
+
+/**
+ * Alerta crítica cuando el usuario era el último Admin activo.
+ * motivo: qué pasó con el usuario (ej: "su rol cambió a Editor").
+ */
+function alertarSinAdmins(user, motivo) {
+  const message = renderNotification('SIN_ADMINS', Object.assign(userTemplateData(user), {
+    motivo: motivo
+  }));
+  
+  const result = notifyEvent('ROL_MODIFICADO', {
+    user: user,
+    priority: 'critica',
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, 'Asigna un nuevo administrador', [
+      { label: 'Último Admin', value: `${user.name} (${user.email})` },
+      { label: 'Motivo', value: motivo }
+    ])
+  });
+  
+  const secuencia = logEvent({
+    type: 'SIN_ADMINS',
+    user: normalizeEmail(user.email),
+    details: `${user.name} era el último Admin activo: ${motivo}`,
+    status: 'ALERTA',
+    action: describeNotification(result)
+  });
+  vincularOperacionesRegistro(result.pendientes, secuencia);
+}
+
+// ============================================================================
+// ROLES TEMPORALES
+// ============================================================================
+
+/**
+ * Guarda el rol anterior de un cambio de rol para poder revertirlo cuando
+ * venza "Rol Expira". Solo aplica si la hoja usa la columna Rol Expira.
+ */
+function registrarRolAnterior(sheet, row, rolAnterior) {
+  const anterior = rolAnterior ? String(rolAnterior).trim() : '';
+  if (!anterior) return;
+  
+  let schema = getUsuariosSchema(sheet);
+  if (!schema.columns.rolExpira) return;
+  
+  schema = ensureUsuariosColumns(sheet, ['rolAnterior']);
+  sheet.getRange(row, schema.columns.rolAnterior).setValue(anterior);
+}
+
+/**
+ * Fecha de la columna Rol Expira (fecha de la hoja o texto), o null.
+ */
+function parseFechaExpiracion(value) {
+  if (value instanceof Date) return value;
+  if (!value) return null;
+  
+  const date = new Date(String(value).trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Indica si volver de rolActual a rolPrevio quita privilegios.
+ */
+function esElevacion(rolActual, rolPrevio, config) {
+  return clasificarCambioRol(rolActual, rolPrevio, config.jerarquiaRoles) === 'DEGRADACION' ||
+    (esRolPrivilegiado(rolActual, config) && !esRolPrivilegiado(rolPrevio, config));
+}
+
+/**
+ * Revierte los roles temporales vencidos (trigger cada hora).
+ * Cada fila con "Rol Expira" vencido vuelve a "Rol Anterior" (o al rol de
+ * menor privilegio de jerarquiaRoles si no se conoce), se notifica al
+ * usuario y a los destinatarios de ROL_EXPIRADO y se registra. Si el rol ya
+ * no es una elevación (alguien lo cambió a mano) solo se limpia la fecha.
+ * Retorna el número de roles revertidos.
+ */
+function revertirRolesExpirados(e) {
+  return ejecutar('revertirRolesExpirados', e, () => {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('Usuarios');
+    if (!sheet) return 0;
+    
+    const data = sheet.getDataRange().getValues();
+    const schema = buildUsuariosSchema(data[0]);
+    if (!schema.columns.rolExpira) return 0;
+    
+    const config = getConfig();
+    const ahora = new Date();
+    const revertidos = [];
+    
+    for (let i = 1; i < data.length; i++) {
+      const user = rowToUser(data[i], schema);
+      const expira = parseFechaExpiracion(user.rolExpira);
+      if (!user.name || !expira || expira > ahora) continue;
+      
+      const row = i + 1;
+      const previo = user.rolAnterior || config.jerarquiaRoles[0];
+      
+      sheet.getRange(row, schema.columns.rolExpira).setValue('');
+      if (schema.columns.rolAnterior) sheet.getRange(row, schema.columns.rolAnterior).setValue('');
+      
+      if (!esElevacion(user.role, previo, config)) {
+        logDebug(`Rol temporal vencido sin elevación vigente: ${user.email}`);
+        continue;
+      }
+      
+      sheet.getRange(row, schema.columns.role).setValue(previo);
+      revertidos.push({ user: user, previo: previo, expira: expira });
+    }
+    
+    // Se notifica después de escribir todas las filas para que el conteo de
+    // Admins activos refleje todos los cambios
+    revertidos.forEach(item => notificarRolExpirado(item.user, item.previo, item.expira));
+    
+    logInfo(`Roles temporales revertidos: ${revertidos.length}`);
+    return revertidos.length;
+  });
+}
+
+/**
+ * Notifica y registra la reversión de un rol temporal.
+ */
+function notificarRolExpirado(user, rolPrevio, expira) {
+  const message = renderNotification('ROL_EXPIRADO', Object.assign(userTemplateData(user), {
+    rolAnterior: user.role,
+    rolNuevo: rolPrevio,
+    expira: expira.toLocaleString('es-MX')
+  }));
+  
+  const result = notifyEvent('ROL_EXPIRADO', {
+    user: user,
+    subject: message.subject,
+    body: message.body,
+    htmlBody: message.htmlBody,
+    card: buildChatCard(message.subject, 'Rol temporal revertido', [
+      { label: 'Usuario', value: `${user.name} (${user.email})` },
+      { label: 'Rol', value: `${user.role} → ${rolPrevio}` },
+      { label: 'Expiró', value: expira.toLocaleString('es-MX') }
+    ])
+  });
+  
+  const secuencia = logEvent({
+    type: 'ROL_EXPIRADO',
+    user: normalizeEmail(user.email),
+    details: `${user.name}: rol ${user.role} → ${rolPrevio} (vencido el ${expira.toLocaleString('es-MX')})`,
+    status: 'OK',
+    action: describeNotification(result)
+  });
+  vincularOperacionesRegistro(result.pendientes, secuencia);
+  
+  if (esRolAdmin(user.role) && contarAdminsActivos() === 0) {
+    alertarSinAdmins(user, `su rol temporal venció y volvió a ${rolPrevio}`);
+  }
+}
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+/**
+ * Entorno con un token de API para el cliente "intranet".
+ */
+function entornoApi(options) {
+  const env = createEnvironment(options);
+  env.properties.setProperty('API_TOKENS', JSON.stringify({ 'token-intranet': 'intranet' }));
+  return env;
+}
+
+function get(env, params) {
+  const output = env.gas.doGet({ parameter: Object.assign({ token: 'token-intranet' }, params) });
+  assert.strictEqual(output.mimeType, 'application/json');
+  return JSON.parse(output.getContent());
+}
+
+function post(env, body) {
+  const output = env.gas.doPost({
+    parameter: {},
+    postData: { contents: JSON.stringify(Object.assign({ token: 'token-intranet' }, body)) }
+  });
+  return JSON.parse(output.getContent());
+}
+
+test('sin token válido responde 401 y registra el intento', () => {
+  const env = entornoApi();
+
+  const respuesta = get(env, { recurso: 'usuarios', token: 'otro' });
+
+  assert.deepStrictEqual(respuesta, { ok: false, error: { codigo: 401, mensaje: 'No autorizado' } });
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[1], 'API_NO_AUTORIZADO');
+  assert.strictEqual(registro[3], 'Petición con token inválido');
+});
+
+test('lista y busca usuarios con filtros', () => {
+  const env = entornoApi();
+
+  const todos = get(env, { recurso: 'usuarios' });
+  assert.strictEqual(todos.ok, true);
+  assert.deepStrictEqual(todos.data.map(u => u.email), ['ana.lopez@empresa.com', 'luis.perez@empresa.com']);
+  assert.strictEqual(todos.data[0].role, 'Editor');
+  assert.match(todos.data[0].dateRegistered, /^\d{4}-\d{2}-\d{2}T/);
+
+  assert.deepStrictEqual(get(env, { recurso: 'usuarios', q: 'PÉREZ' }).data.map(u => u.name), ['Luis Pérez']);
+  assert.deepStrictEqual(get(env, { recurso: 'usuarios', grupo: 'finanzas' }).data.map(u => u.name), ['Ana López']);
+  assert.deepStrictEqual(get(env, { recurso: 'usuarios', activo: 'false' }).data, []);
+});
+
+test('obtiene un usuario por email o responde 404', () => {
+  const env = entornoApi();
+
+  assert.strictEqual(get(env, { recurso: 'usuario', email: 'Ana.Lopez@empresa.com' }).data.name, 'Ana López');
+
+  const respuesta = get(env, { recurso: 'usuario', email: 'nadie@empresa.com' });
+  assert.strictEqual(respuesta.error.codigo, 404);
+});
+
+test('consulta RegistroDeEventos del más reciente al más antiguo', () => {
+  const env = entornoApi();
+  env.gas.logEvent({ type: 'A', user: 'ana.lopez@empresa.com', details: 'primero' });
+  env.gas.logEvent({ type: 'B', user: 'luis.perez@empresa.com', details: 'segundo' });
+  env.gas.logEvent({ type: 'A', user: 'luis.perez@empresa.com', details: 'tercero' });
+
+  const respuesta = get(env, { recurso: 'eventos', tipo: 'A', limite: '1' });
+
+  assert.strictEqual(respuesta.data.total, 2);
+  assert.deepStrictEqual(respuesta.data.eventos.map(e => e.detalles), ['tercero']);
+  assert.deepStrictEqual(
+    get(env, { recurso: 'eventos', usuario: 'LUIS.PEREZ@empresa.com' }).data.eventos.map(e => e.detalles),
+    ['tercero', 'segundo']
+  );
+  assert.strictEqual(get(env, { recurso: 'eventos', desde: 'ayer' }).error.codigo, 400);
+});
+
+test('crear procesa el alta igual que una fila completada en la hoja', () => {
+  const env = entornoApi();
+
+  const respuesta = post(env, {
+    accion: 'crear',
+    datos: { name: 'Pedro Ramírez', email: 'Pedro.Ramirez@empresa.com', role: 'viewer', group: 'RH' }
+  });
+
+  assert.strictEqual(respuesta.ok, true);
+  assert.strictEqual(respuesta.data.email, 'pedro.ramirez@empresa.com');
+  assert.strictEqual(respuesta.data.role, 'Viewer');
+  assert.strictEqual(respuesta.data.active, true);
+  assert.ok(respuesta.data.dateRegistered);
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.match(env.emails[0].options.htmlBody, /Pedro Ramírez/);
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.strictEqual(loggedEvents(env)[0][1], 'USUARIO_AGREGADO');
+});
+
+test('crear un usuario Admin con aprobacionPromocionAdmin solicita la aprobación', () => {
+  const env = entornoApi({ config: { aprobacionPromocionAdmin: true } });
+
+  const respuesta = post(env, {
+    accion: 'crear',
+    datos: { name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Admin', group: 'RH' }
+  });
+
+  assert.strictEqual(respuesta.ok, true);
+  assert.strictEqual(respuesta.data.role, 'Viewer');
+  const [solicitud] = env.sheet('Aprobaciones').getDataRange().getValues().slice(1);
+  assert.deepStrictEqual([solicitud[2], solicitud[4], solicitud[6]], ['pedro.ramirez@empresa.com', 'Viewer', 'PENDIENTE']);
+  assert.deepStrictEqual(loggedEvents(env).map(evento => evento[1]), ['USUARIO_AGREGADO', 'ROL_PENDIENTE']);
+});
+
+test('crear rechaza datos incompletos, inválidos o emails ya registrados', () => {
+  const env = entornoApi();
+
+  assert.strictEqual(post(env, { accion: 'crear', datos: { name: 'Pedro' } }).error.mensaje,
+    'Faltan campos requeridos: email, role, group');
+  assert.match(post(env, { accion: 'crear', datos: { email: 'x', role: 'Jefe', edad: 3 } }).error.mensaje,
+    /email no válido: "x"; role debe ser uno de: Viewer, Editor, Admin; campo desconocido: edad$/);
+
+  const duplicado = post(env, {
+    accion: 'crear',
+    datos: { name: 'Otra Ana', email: 'ana.lopez@empresa.com', role: 'Viewer', group: 'RH' }
+  });
+  assert.strictEqual(duplicado.error.codigo, 409);
+  assert.strictEqual(env.sheet('Usuarios').getLastRow(), 3);
+});
+
+test('actualizar el rol genera la misma alerta que editar la celda', () => {
+  const env = entornoApi();
+
+  const respuesta = post(env, { accion: 'actualizar', email: 'ana.lopez@empresa.com', datos: { role: 'Admin', group: 'Finanzas' } });
+
+  assert.deepStrictEqual(respuesta.data.cambios, ['role']);
+  assert.strictEqual(respuesta.data.usuario.role, 'Admin');
+  assert.strictEqual(env.emails[0].subject, '⚠️ Cambio Crítico: Nuevo Administrador');
+  assert.strictEqual(loggedEvents(env)[0][3], 'Ana López: rol Editor → Admin (promoción)');
+});
+
+test('desactivar y reactivar usan los mismos procesos que la hoja', () => {
+  const env = entornoApi();
+
+  post(env, { accion: 'desactivar', email: 'luis.perez@empresa.com' });
+  const reactivado = post(env, { accion: 'actualizar', email: 'luis.perez@empresa.com', datos: { active: true } });
+
+  assert.strictEqual(reactivado.data.usuario.active, true);
+  const eventos = loggedEvents(env);
+  assert.deepStrictEqual(eventos.map(e => e[1]), ['USUARIO_INACTIVO', 'USUARIO_REACTIVADO']);
+  assert.strictEqual(eventos[1][3], 'Luis Pérez: reactivado por api:intranet');
+});
+
+test('desactivar un usuario ya inactivo no repite el proceso', () => {
+  const env = entornoApi();
+  post(env, { accion: 'desactivar', email: 'luis.perez@empresa.com' });
+
+  const respuesta = post(env, { accion: 'desactivar', email: 'luis.perez@empresa.com' });
+
+  assert.deepStrictEqual(respuesta.data.cambios, []);
+  assert.strictEqual(loggedEvents(env).length, 1);
+});
+
+test('un cuerpo que no es JSON responde 400', () => {
+  const env = entornoApi();
+
+  const output = env.gas.doPost({ parameter: {}, postData: { contents: 'no es json' } });
+
+  assert.strictEqual(JSON.parse(output.getContent()).error.codigo, 400);
+});
+
+test('doGet sigue atendiendo los enlaces de aprobación', () => {
+  const env = entornoApi();
+
+  const output = env.gas.doGet({ parameter: { accion: 'aprobar', token: 'desconocido' } });
+
+  assert.match(output.getContent(), /La solicitud no existe/);
+});
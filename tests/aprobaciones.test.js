@@ -0,0 +1,251 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents, DAY_MS } = require('./helpers/gas');
+
+/**
+ * Ana (fila 2, Editor) es promovida a Admin desde la hoja.
+ */
+function promoverAna(env) {
+  env.sheet('Usuarios').getRange(2, 3).setValue('Admin');
+  const e = editEvent(env, 'Usuarios', 2, 3, { value: 'Admin', oldValue: 'Editor' });
+  e.user = { getEmail: () => 'jefa.rh@empresa.com' };
+  env.gas.handleUserEdit(e);
+}
+
+function solicitudes(env) {
+  return env.sheet('Aprobaciones').getDataRange().getValues().slice(1);
+}
+
+/**
+ * Confirma una decisión como lo hace el formulario de la página del enlace.
+ */
+function responder(env, accion, token) {
+  return env.gas.doPost({ parameter: { accion: accion, token: token } });
+}
+
+test('sin aprobacionPromocionAdmin la promoción se aplica de inmediato', () => {
+  const env = createEnvironment();
+
+  promoverAna(env);
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Admin');
+  assert.strictEqual(env.sheet('Aprobaciones'), null);
+});
+
+test('la promoción queda pendiente y el aprobador recibe los enlaces', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+
+  promoverAna(env);
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor', 'la celda conserva el rol anterior');
+
+  const [solicitud] = solicitudes(env);
+  assert.strictEqual(solicitud[0], 'uuid-1');
+  assert.strictEqual(solicitud[2], 'ana.lopez@empresa.com');
+  assert.strictEqual(solicitud[4], 'Editor');
+  assert.strictEqual(solicitud[5], 'jefa.rh@empresa.com');
+  assert.strictEqual(solicitud[6], 'PENDIENTE');
+  assert.ok(Math.abs(solicitud[7] - solicitud[1] - 2 * DAY_MS) < 1000, 'expira en 48 horas');
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].to, 'admin@empresa.com');
+  assert.strictEqual(env.emails[0].subject, '🔐 Aprobación requerida: Ana López como Admin');
+  assert.ok(env.emails[0].body.includes('https://script.google.com/macros/s/prueba/exec?accion=aprobar&token=uuid-1'));
+  assert.ok(env.emails[0].body.includes('accion=rechazar&token=uuid-1'));
+
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[1], 'ROL_PENDIENTE');
+  assert.strictEqual(registro[3], 'Ana López: Editor → Admin pendiente de aprobación (solicitado por jefa.rh@empresa.com)');
+  assert.strictEqual(registro[4], 'WARNING');
+});
+
+test('una promoción escrita con otras mayúsculas también espera aprobación', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  env.sheet('Usuarios').getRange(2, 3).setValue('ADMIN');
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 3, { value: 'ADMIN', oldValue: 'Editor' }));
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(solicitudes(env)[0][6], 'PENDIENTE');
+  assert.deepStrictEqual(loggedEvents(env).map(evento => evento[1]), ['ROL_PENDIENTE']);
+});
+
+test('un usuario nuevo con rol Admin se registra con el rol menor y espera aprobación', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  const usuarios = env.sheet('Usuarios');
+  usuarios.appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Admin', 'RH', true]);
+  const e = editEvent(env, 'Usuarios', 4, 5, { value: true });
+  e.user = { getEmail: () => 'jefa.rh@empresa.com' };
+
+  env.gas.handleUserEdit(e);
+
+  assert.strictEqual(usuarios.getRange(4, 3).getValue(), 'Viewer');
+  assert.ok(usuarios.getRange(4, 6).getValue() instanceof Date, 'el alta se procesa');
+  const [solicitud] = solicitudes(env);
+  assert.deepStrictEqual([solicitud[2], solicitud[4], solicitud[5], solicitud[6]],
+    ['pedro.ramirez@empresa.com', 'Viewer', 'jefa.rh@empresa.com', 'PENDIENTE']);
+  assert.deepStrictEqual(loggedEvents(env).map(evento => evento[1]), ['USUARIO_AGREGADO', 'ROL_PENDIENTE']);
+
+  responder(env, 'aprobar', solicitud[0]);
+
+  assert.strictEqual(usuarios.getRange(4, 3).getValue(), 'Admin');
+  assert.ok(env.emails.some(email => email.subject.includes('Admin')), 'alerta crítica de la promoción');
+});
+
+/**
+ * Ana (fila 2) recibe "Admin" por un pegado de varias celdas: sin oldValue.
+ */
+function pegarAdminAna(env) {
+  env.sheet('Usuarios').getRange(2, 3).setValue('Admin');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 3, { value: 'Admin' }));
+}
+
+test('sin oldValue ni rol previo conocido el cambio se registra y alerta sin retenerlo', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+
+  pegarAdminAna(env);
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Admin', 'no se escribe un rol supuesto');
+  assert.strictEqual(env.sheet('Aprobaciones'), null);
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[1], 'ROL_MODIFICADO');
+  assert.strictEqual(registro[3], 'Ana López: rol (desconocido) → Admin (rol anterior desconocido)');
+  assert.strictEqual(env.emails.length, 1, 'alerta crítica');
+});
+
+test('sin oldValue el rol previo se toma de la columna Rol Anterior', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  const usuarios = env.sheet('Usuarios');
+  usuarios.getRange(1, 8).setValue('Rol Anterior');
+  usuarios.getRange(2, 8).setValue('Editor');
+
+  pegarAdminAna(env);
+
+  assert.strictEqual(usuarios.getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(solicitudes(env)[0][4], 'Editor');
+});
+
+test('pegar Admin sobre un Admin ya aprobado no lo degrada ni pide otra aprobación', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  responder(env, 'aprobar', solicitudes(env)[0][0]);
+  const eventos = loggedEvents(env).length;
+
+  pegarAdminAna(env);
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Admin');
+  assert.strictEqual(solicitudes(env).length, 1);
+  assert.strictEqual(loggedEvents(env).length, eventos, 'sin cambio de rol que registrar');
+});
+
+test('el enlace solo muestra una confirmación que se envía por POST', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+
+  const output = env.gas.doGet({ parameter: { accion: 'aprobar', token: 'uuid-1' } });
+
+  const html = output.getContent();
+  assert.match(html, /Aprobar la promoción de <strong>Ana López<\/strong>/);
+  assert.match(html, /<form method="post" action="https:\/\/script.google.com\/macros\/s\/prueba\/exec"/);
+  assert.match(html, /name="token" value="uuid-1"/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(solicitudes(env)[0][6], 'PENDIENTE');
+  assert.strictEqual(loggedEvents(env).length, 1);
+});
+
+test('aprobar por POST aplica el rol y registra quién aprobó', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  env.session.activeUser = 'Director@empresa.com';
+
+  const output = responder(env, 'aprobar', 'uuid-1');
+
+  assert.match(output.getContent(), /Ana López ahora es Admin/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Admin');
+  assert.strictEqual(solicitudes(env)[0][6], 'APROBADA');
+  assert.strictEqual(solicitudes(env)[0][9], 'director@empresa.com');
+
+  const eventos = loggedEvents(env);
+  assert.deepStrictEqual(eventos.map(evento => evento[1]), ['ROL_PENDIENTE', 'ROL_APROBADO', 'ROL_MODIFICADO']);
+  assert.strictEqual(eventos[1][3], 'Ana López: promoción a Admin aprobada por director@empresa.com');
+  assert.strictEqual(eventos[2][3], 'Ana López: rol Editor → Admin (promoción)');
+});
+
+test('quien solicitó la promoción no puede aprobarla', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  env.session.activeUser = 'jefa.rh@empresa.com';
+
+  const output = responder(env, 'aprobar', 'uuid-1');
+
+  assert.match(output.getContent(), /No puedes aprobar una promoción que solicitaste/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(solicitudes(env)[0][6], 'PENDIENTE');
+  assert.strictEqual(loggedEvents(env)[1][1], 'APROBACION_DENEGADA');
+
+  env.session.activeUser = 'ana.lopez@empresa.com';
+  responder(env, 'aprobar', 'uuid-1');
+  assert.strictEqual(solicitudes(env)[0][6], 'PENDIENTE', 'tampoco el propio usuario');
+});
+
+test('sin una cuenta identificada no se aplica la decisión', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  env.session.activeUser = '';
+
+  const output = responder(env, 'aprobar', 'uuid-1');
+
+  assert.match(output.getContent(), /No se pudo identificar tu cuenta/);
+  assert.strictEqual(solicitudes(env)[0][6], 'PENDIENTE');
+});
+
+test('rechazar mantiene el rol y un segundo clic no cambia la decisión', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+
+  responder(env, 'rechazar', 'uuid-1');
+  const output = responder(env, 'aprobar', 'uuid-1');
+
+  assert.match(output.getContent(), /ya no está pendiente \(rechazada\)/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+
+  const eventos = loggedEvents(env);
+  assert.strictEqual(eventos[1][1], 'ROL_RECHAZADO');
+  assert.strictEqual(eventos[1][3], 'Ana López: promoción a Admin rechazada por admin@empresa.com');
+  assert.strictEqual(eventos[1][5], 'Se mantiene el rol Editor');
+  assert.strictEqual(solicitudes(env)[0][9], 'admin@empresa.com');
+  assert.strictEqual(eventos.length, 2);
+});
+
+test('un token desconocido no modifica nada', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+
+  const output = responder(env, 'aprobar', 'otro');
+
+  assert.match(output.getContent(), /La solicitud no existe/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+});
+
+test('una nueva solicitud cancela la pendiente del mismo usuario', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  promoverAna(env);
+
+  assert.deepStrictEqual(solicitudes(env).map(solicitud => solicitud[6]), ['CANCELADA', 'PENDIENTE']);
+});
+
+test('las solicitudes vencidas expiran sin aplicar el rol', () => {
+  const env = createEnvironment({ config: { aprobacionPromocionAdmin: true } });
+  promoverAna(env);
+  env.sheet('Aprobaciones').getRange(2, 8).setValue(new Date(Date.now() - 1000));
+
+  assert.strictEqual(env.gas.expirarAprobacionesPendientes(), 1);
+
+  assert.strictEqual(solicitudes(env)[0][6], 'EXPIRADA');
+  assert.strictEqual(loggedEvents(env)[1][1], 'APROBACION_EXPIRADA');
+
+  const output = responder(env, 'aprobar', 'uuid-1');
+  assert.match(output.getContent(), /ya no está pendiente \(expirada\)/);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Editor');
+});
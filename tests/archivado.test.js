@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+/**
+ * Registra un evento con la fecha indicada (logEvent usa Date.now).
+ */
+function registrarEn(env, fecha, evento) {
+  const real = Date.now;
+  Date.now = () => fecha.getTime();
+  try {
+    env.gas.logEvent(evento);
+  } finally {
+    Date.now = real;
+  }
+}
+
+/**
+ * Tres eventos de enero y febrero de 2025 y uno reciente.
+ */
+function entornoConHistorial(options) {
+  const env = createEnvironment(options);
+  registrarEn(env, new Date(2025, 0, 15, 9), { type: 'USUARIO_AGREGADO', details: 'enero 1' });
+  registrarEn(env, new Date(2025, 0, 20, 9), { type: 'USUARIO_INACTIVO', details: 'enero 2' });
+  registrarEn(env, new Date(2025, 1, 3, 9), { type: 'USUARIO_AGREGADO', details: 'febrero' });
+  env.gas.logEvent({ type: 'ROL_MODIFICADO', details: 'reciente' });
+  return env;
+}
+
+test('mueve los eventos vencidos a una hoja por mes y deja un puntero', () => {
+  const env = entornoConHistorial();
+
+  assert.strictEqual(env.gas.archivarRegistroEventos(), 3);
+
+  assert.deepStrictEqual(env.sheet('Registro 2025-01').getDataRange().getValues().map(row => row[3]),
+    ['Detalles', 'enero 1', 'enero 2']);
+  assert.deepStrictEqual(env.sheet('Registro 2025-02').getDataRange().getValues()[1].slice(1, 4),
+    ['USUARIO_AGREGADO', 'Sistema', 'febrero']);
+
+  const [puntero, reciente] = loggedEvents(env);
+  assert.strictEqual(puntero[1], 'REGISTRO_ARCHIVADO');
+  assert.strictEqual(puntero[3], '3 eventos archivados (secuencias 1 a 3) en Registro 2025-01, Registro 2025-02');
+  assert.strictEqual(puntero[5], 'https://docs.google.com/spreadsheets/d/fake-spreadsheet-id');
+  assert.strictEqual(puntero[6], 3);
+  assert.strictEqual(puntero[7], env.sheet('Registro 2025-02').getRange(2, 8).getValue());
+  assert.strictEqual(reciente[3], 'reciente');
+});
+
+test('la cadena sigue siendo válida a partir del puntero', () => {
+  const env = entornoConHistorial();
+  env.gas.archivarRegistroEventos();
+  env.gas.logEvent({ type: 'PRUEBA', details: 'después del archivado' });
+
+  assert.deepStrictEqual(env.gas.verifyAuditLog(), { valido: true, revisadas: 2, problemas: [] });
+});
+
+test('un puntero alterado se detecta con el ancla guardada', () => {
+  const env = entornoConHistorial();
+  env.gas.archivarRegistroEventos();
+  env.sheet('RegistroDeEventos').getRange(2, 7).setValue(2);
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.strictEqual(resultado.valido, false);
+  assert.strictEqual(resultado.problemas[0].tipo, 'MODIFICADA');
+  assert.match(resultado.problemas[0].detalle, /^el puntero de archivo no coincide con el ancla guardada/);
+});
+
+test('editar la URL o el texto de un puntero se detecta', () => {
+  const env = entornoConHistorial();
+  env.gas.archivarRegistroEventos();
+  env.gas.logEvent({ type: 'PRUEBA', details: 'después del archivado' });
+  env.sheet('RegistroDeEventos').getRange(2, 6).setValue('https://docs.google.com/spreadsheets/d/otro');
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(resultado.problemas.map(p => `${p.fila} ${p.tipo}`), ['2 MODIFICADA']);
+  assert.strictEqual(resultado.problemas[0].detalle, 'el contenido de los punteros de archivo no coincide con el ancla guardada');
+
+  env.sheet('RegistroDeEventos').getRange(2, 6).setValue('https://docs.google.com/spreadsheets/d/fake-spreadsheet-id');
+  env.sheet('RegistroDeEventos').getRange(2, 4).setValue('0 eventos archivados');
+  assert.strictEqual(env.gas.verifyAuditLog().valido, false);
+});
+
+test('un ancla guardada sin el hash de los punteros cuenta como alteración', () => {
+  const env = entornoConHistorial();
+  env.gas.archivarRegistroEventos();
+  const ancla = JSON.parse(env.properties.getProperty('REGISTRO_ANCLA'));
+  delete ancla.punteros;
+  env.properties.setProperty('REGISTRO_ANCLA', JSON.stringify(ancla));
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(resultado.problemas.map(p => `${p.fila} ${p.tipo}`), ['2 MODIFICADA']);
+  assert.strictEqual(resultado.problemas[0].detalle, 'el contenido de los punteros de archivo no coincide con el ancla guardada');
+  assert.strictEqual(loggedEvents(env).pop()[1], 'REGISTRO_ALTERADO');
+});
+
+test('ResumenRegistro acumula los eventos por hoja y tipo entre rotaciones', () => {
+  const env = createEnvironment();
+  registrarEn(env, new Date(2025, 0, 15, 9), { type: 'USUARIO_AGREGADO', details: 'enero 1' });
+  registrarEn(env, new Date(2025, 0, 20, 9), { type: 'USUARIO_INACTIVO', details: 'enero 2' });
+  env.gas.archivarRegistroEventos();
+  registrarEn(env, new Date(2025, 0, 28, 9), { type: 'USUARIO_AGREGADO', details: 'enero 3' });
+  registrarEn(env, new Date(2025, 1, 3, 9), { type: 'USUARIO_AGREGADO', details: 'febrero' });
+  env.gas.logEvent({ type: 'ROL_MODIFICADO', details: 'reciente' });
+
+  assert.strictEqual(env.gas.archivarRegistroEventos(), 2);
+
+  const resumen = env.sheet('ResumenRegistro').getDataRange().getValues().map(row => row.slice(0, 3));
+  assert.deepStrictEqual(resumen, [
+    ['Hoja', 'Tipo', 'Eventos'],
+    ['Registro 2025-01', 'USUARIO_AGREGADO', 2],
+    ['Registro 2025-01', 'USUARIO_INACTIVO', 1],
+    ['Registro 2025-02', 'USUARIO_AGREGADO', 1]
+  ]);
+  assert.deepStrictEqual(loggedEvents(env).map(row => row[1]), ['REGISTRO_ARCHIVADO', 'REGISTRO_ARCHIVADO', 'ROL_MODIFICADO']);
+  assert.strictEqual(env.gas.verifyAuditLog().valido, true, 'la cadena continúa desde el último puntero');
+
+  env.sheet('RegistroDeEventos').getRange(2, 4).setValue('puntero anterior editado');
+  assert.strictEqual(env.gas.verifyAuditLog().problemas[0].tipo, 'MODIFICADA', 'los punteros anteriores también están encadenados');
+});
+
+test('con archivoRegistroId el archivo se escribe en otro spreadsheet', () => {
+  const env = entornoConHistorial({ config: { archivoRegistroId: 'archivo-id' }, spreadsheets: ['archivo-id'] });
+
+  env.gas.archivarRegistroEventos();
+
+  const archivo = env.externos['archivo-id'];
+  assert.strictEqual(archivo.getSheetByName('Registro 2025-01').getLastRow(), 3);
+  assert.strictEqual(env.sheet('Registro 2025-01'), null);
+  assert.strictEqual(loggedEvents(env)[0][5], 'https://docs.google.com/spreadsheets/d/archivo-id');
+});
+
+test('sin eventos vencidos no se modifica el registro', () => {
+  const env = createEnvironment();
+  env.gas.logEvent({ type: 'PRUEBA' });
+
+  assert.strictEqual(env.gas.archivarRegistroEventos(), 0);
+  assert.strictEqual(loggedEvents(env).length, 1);
+  assert.strictEqual(env.sheet('ResumenRegistro'), null);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents, daysAgo } = require('./helpers/gas');
+
+/**
+ * Entorno con cuatro eventos encadenados (filas 2 a 5 del registro).
+ */
+function entornoConEventos() {
+  const env = createEnvironment();
+  ['uno', 'dos', 'tres', 'cuatro'].forEach(detalle => {
+    env.gas.logEvent({ type: 'PRUEBA', user: 'ana.lopez@empresa.com', details: detalle });
+  });
+  return env;
+}
+
+function registro(env) {
+  return env.sheet('RegistroDeEventos');
+}
+
+function tipos(resultado) {
+  return resultado.problemas.map(p => `${p.fila} ${p.tipo}`);
+}
+
+test('cada evento lleva secuencia y el hash encadenado al anterior', () => {
+  const env = entornoConEventos();
+
+  const eventos = loggedEvents(env);
+  assert.deepStrictEqual(eventos.map(evento => evento[6]), [1, 2, 3, 4]);
+  assert.strictEqual(eventos[1][7], env.gas.calcularHashRegistro(2, eventos[0][7], eventos[1]));
+  assert.deepStrictEqual(registro(env).getRange(1, 7, 1, 2).getValues()[0], ['Secuencia', 'Hash']);
+  assert.deepStrictEqual(JSON.parse(env.properties.getProperty('REGISTRO_CADENA')), { secuencia: 4, hash: eventos[3][7] });
+});
+
+test('una cadena intacta es válida y no genera alertas', () => {
+  const env = entornoConEventos();
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(resultado, { valido: true, revisadas: 4, problemas: [] });
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(loggedEvents(env).length, 4);
+});
+
+test('detecta una fila editada', () => {
+  const env = entornoConEventos();
+  registro(env).getRange(3, 4).setValue('dos (corregido)');
+
+  assert.deepStrictEqual(tipos(env.gas.verifyAuditLog()), ['3 MODIFICADA']);
+});
+
+test('detecta una fila eliminada', () => {
+  const env = entornoConEventos();
+  registro(env).deleteRow(3);
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(tipos(resultado), ['3 ELIMINADA']);
+  assert.strictEqual(resultado.problemas[0].detalle, 'faltan las secuencias 2 a 2');
+});
+
+test('detecta filas reordenadas', () => {
+  const env = entornoConEventos();
+  const sheet = registro(env);
+  const [segunda, tercera] = sheet.getRange(3, 1, 2, 8).getValues();
+  sheet.getRange(3, 1, 2, 8).setValues([tercera, segunda]);
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(tipos(resultado), ['4 REORDENADA']);
+  assert.strictEqual(resultado.problemas[0].detalle, 'secuencia 2 después de la 3');
+});
+
+test('detecta una fila insertada sin secuencia', () => {
+  const env = entornoConEventos();
+  const sheet = registro(env);
+  sheet.insertRowBefore(3);
+  sheet.getRange(3, 1, 1, 6).setValues([[daysAgo(1), 'PRUEBA', 'ana.lopez@empresa.com', 'falso', 'OK', 'Ninguna']]);
+
+  assert.deepStrictEqual(tipos(env.gas.verifyAuditLog()), ['3 INSERTADA']);
+});
+
+test('detecta las últimas filas eliminadas con el final guardado', () => {
+  const env = entornoConEventos();
+  registro(env).deleteRows(4, 2);
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.deepStrictEqual(tipos(resultado), ['4 ELIMINADA']);
+  assert.strictEqual(resultado.problemas[0].detalle, 'faltan las últimas secuencias (3 a 4)');
+});
+
+test('las filas anteriores a la cadena no se verifican', () => {
+  const env = createEnvironment({
+    sheets: {
+      'RegistroDeEventos': [
+        ['Fecha', 'Tipo', 'Usuario', 'Detalles', 'Estado', 'Acción'],
+        [daysAgo(5), 'ANTIGUO', 'Sistema', 'sin hash', 'OK', 'Ninguna']
+      ]
+    }
+  });
+  env.gas.logEvent({ type: 'PRUEBA' });
+
+  assert.deepStrictEqual(env.gas.verifyAuditLog(), { valido: true, revisadas: 1, problemas: [] });
+});
+
+test('las alteraciones envían una alerta crítica y se registran', () => {
+  const env = entornoConEventos();
+  registro(env).getRange(2, 5).setValue('ERROR');
+
+  const resultado = env.gas.verifyAuditLog();
+
+  assert.strictEqual(resultado.valido, false);
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '🚨 RegistroDeEventos alterado: 1 problemas');
+  assert.ok(env.emails[0].body.includes('Fila 2 - MODIFICADA: el contenido de la secuencia 1 no coincide con su hash'));
+
+  const alerta = loggedEvents(env).pop();
+  assert.strictEqual(alerta[1], 'REGISTRO_ALTERADO');
+  assert.strictEqual(alerta[4], 'ALERTA');
+  assert.strictEqual(alerta[6], 5, 'la alerta continúa la cadena');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const WEBHOOK = 'https://chat.googleapis.com/v1/spaces/AAA/messages?key=k&token=t';
+
+test('sendChatMessage envía el mensaje como JSON al webhook', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK } });
+
+  assert.strictEqual(env.gas.sendChatMessage({ text: 'Hola' }), true);
+
+  const [request] = env.http.requests;
+  assert.strictEqual(request.url, WEBHOOK);
+  assert.strictEqual(request.method, 'post');
+  assert.match(request.contentType, /^application\/json/);
+  assert.deepStrictEqual(JSON.parse(request.payload), { text: 'Hola' });
+});
+
+test('sendChatMessage devuelve false si la petición lanza una excepción', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK } });
+  env.http.respond = () => { throw new Error('Address unavailable'); };
+
+  assert.strictEqual(env.gas.sendChatMessage({ text: 'Hola' }), false);
+  assert.ok(env.logs.some(line => line.includes('Address unavailable')));
+});
+
+test('buildChatCard usa el subtítulo por defecto y omite las secciones vacías', () => {
+  const env = createEnvironment();
+
+  const card = env.gas.buildChatCard('Título', null, [{ label: 'Nombre', value: 'Pedro Ramírez' }]).cardsV2[0].card;
+
+  assert.deepStrictEqual(card.header, { title: 'Título', subtitle: 'Sistema de Gestión Workspace - Turing IA' });
+  assert.deepStrictEqual(card.sections[0].widgets, [{ decoratedText: { topLabel: 'Nombre', text: 'Pedro Ramírez' } }]);
+  assert.deepStrictEqual(env.gas.buildChatCard('Sin filas').cardsV2[0].card.sections, []);
+});
+
+test('sin tarjeta notifyEvent envía asunto y cuerpo como texto', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK, canalUsuarioAgregado: 'chat' } });
+
+  env.gas.notifyEvent('USUARIO_AGREGADO', { subject: 'Nuevo usuario', body: 'Pedro Ramírez' });
+
+  assert.deepStrictEqual(JSON.parse(env.http.requests[0].payload), { text: 'Nuevo usuario\n\nPedro Ramírez' });
+});
+
+test('con canal email no se usa el webhook aunque esté configurado', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK } });
+
+  const result = env.gas.notifyEvent('USUARIO_INACTIVO', { subject: 'Inactivo', body: 'Pedro' });
+
+  assert.strictEqual(env.http.requests.length, 0);
+  assert.strictEqual(result.email, true);
+  assert.strictEqual(result.chat, null);
+});
+
+test('buildChatCard escapa los valores de la tarjeta', () => {
+  const env = createEnvironment();
+
+  const card = env.gas.buildChatCard('Título', null, [{ label: 'Nombre', value: 'Marta <b>Díaz</b> & co' }]).cardsV2[0].card;
+
+  assert.strictEqual(card.sections[0].widgets[0].decoratedText.text, 'Marta &lt;b&gt;Díaz&lt;/b&gt; &amp; co');
+});
+
+test('un Chat fallido queda en la columna Acción del registro', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK, canalUsuarioInactivo: 'ambos' } });
+  env.http.respond = () => ({ code: 403, body: 'Forbidden' });
+
+  env.gas.processInactiveUser({ name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Viewer', group: 'RH' });
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado y Chat no enviado');
+});
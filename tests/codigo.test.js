@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+test('getConfig lee los pares parámetro/valor', () => {
+  const env = createEnvironment();
+
+  const config = env.gas.getConfig();
+
+  assert.strictEqual(config.emailNotificacion, 'admin@empresa.com');
+  assert.strictEqual(config.calendarioId, 'primary');
+});
+
+test('getConfig falla si no existe la hoja Configuración', () => {
+  const env = createEnvironment();
+  env.spreadsheet.deleteSheet(env.sheet('Configuración'));
+
+  assert.throws(() => env.gas.getConfig(), /Hoja Configuración no encontrada/);
+});
+
+test('getUsers omite filas sin nombre y normaliza Activo', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['', 'sin.nombre@empresa.com']);
+  env.sheet('Usuarios').appendRow(['Marta Ruiz', 'marta@empresa.com', 'Viewer', 'IT', 'TRUE']);
+
+  const users = env.gas.getUsers();
+
+  assert.deepStrictEqual(users.map(u => u.name), ['Ana López', 'Luis Pérez', 'Marta Ruiz']);
+  assert.strictEqual(users[2].active, true);
+});
+
+test('logEvent agrega una fila con valores por defecto', () => {
+  const env = createEnvironment();
+
+  env.gas.logEvent({ type: 'PRUEBA' });
+
+  const [row] = loggedEvents(env);
+  assert.ok(row[0] instanceof Date);
+  assert.deepStrictEqual(row.slice(1, 6), ['PRUEBA', 'Sistema', '', 'OK', 'Ninguna']);
+  assert.strictEqual(row[6], 1, 'primera secuencia de la cadena');
+  assert.match(row[7], /^[0-9a-f]{64}$/);
+});
+
+const REORDENADA = [
+  ['Email', 'Departamento', 'Nombre', 'Manager', 'Último acceso', 'Activo', 'Rol', 'Fecha de Registro', 'Grupo'],
+  ['ana.lopez@empresa.com', 'Contabilidad', 'Ana López', 'Marta', new Date(), true, 'Editor', new Date(), 'Finanzas']
+];
+
+test('getUsers resuelve columnas por encabezado aunque estén reordenadas', () => {
+  const env = createEnvironment({ sheets: { Usuarios: REORDENADA } });
+
+  const [user] = env.gas.getUsers();
+
+  assert.strictEqual(user.name, 'Ana López');
+  assert.strictEqual(user.email, 'ana.lopez@empresa.com');
+  assert.strictEqual(user.role, 'Editor');
+  assert.strictEqual(user.group, 'Finanzas');
+  assert.strictEqual(user.active, true);
+  assert.strictEqual(user.row, 2);
+});
+
+test('getUsers falla con un mensaje claro si falta un encabezado requerido', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: [['Nombre', 'Correo', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso']] }
+  });
+
+  assert.throws(() => env.gas.getUsers(), /faltan columnas requeridas "Rol"/);
+});
+
+test('buildUsuariosSchema reporta todas las columnas faltantes', () => {
+  const env = createEnvironment();
+
+  assert.throws(
+    () => env.gas.buildUsuariosSchema(['Nombre', 'Email']),
+    /"Rol", "Grupo", "Activo", "Fecha Registro", "Último Acceso"/
+  );
+});
+
+test('getConfig convierte tipos y aplica valores por defecto', () => {
+  const env = createEnvironment({
+    config: { notificarAdmins: 'FALSE', diasInactividad: '14', canalUsuarioAgregado: ' Ambos ' }
+  });
+
+  const config = env.gas.getConfig();
+
+  assert.strictEqual(config.notificarAdmins, false);
+  assert.strictEqual(config.crearEventoCalendar, true);
+  assert.strictEqual(config.diasInactividad, 14);
+  assert.strictEqual(config.horaVerificacion, 8);
+  assert.strictEqual(config.grupoAdmins, '');
+  assert.strictEqual(config.canalUsuarioAgregado, 'ambos');
+  assert.strictEqual(config.canalRolModificado, 'email');
+});
+
+test('getConfig reporta todos los parámetros inválidos a la vez', () => {
+  const env = createEnvironment({
+    config: {
+      emailNotificacion: 'admin-sin-arroba',
+      notificarAdmins: 'quizás',
+      diasInactividad: 'siete',
+      horaVerificacion: 25,
+      calendarioId: 'mi calendario',
+      chatWebhookUrl: 'ftp://chat',
+      canalUsuarioInactivo: 'sms'
+    }
+  });
+
+  assert.throws(() => env.gas.getConfig(), error => {
+    const message = error.message;
+    return [
+      /emailNotificacion: "admin-sin-arroba" no es un email válido/,
+      /notificarAdmins: "quizás" debe ser TRUE o FALSE/,
+      /diasInactividad: "siete" no es un número/,
+      /horaVerificacion: 25 es mayor que 23/,
+      /calendarioId: "mi calendario" no es un ID de calendario válido/,
+      /chatWebhookUrl: "ftp:\/\/chat" no es una URL válida/,
+      /canalUsuarioInactivo: "sms" debe ser uno de: email, chat, ambos/
+    ].every(pattern => pattern.test(message));
+  });
+});
+
+test('getConfig exige emailNotificacion', () => {
+  const env = createEnvironment({ config: { emailNotificacion: '' } });
+
+  assert.throws(() => env.gas.getConfig(), /emailNotificacion: es obligatorio/);
+});
+
+test('getConfig conserva parámetros que no están en el esquema', () => {
+  const env = createEnvironment({ config: { parametroLibre: 'valor' } });
+
+  assert.strictEqual(env.gas.getConfig().parametroLibre, 'valor');
+});
+
+test('validarConfiguracion devuelve los errores sin lanzar', () => {
+  const env = createEnvironment({ config: { diasInactividad: 0 } });
+
+  assert.deepStrictEqual(env.gas.validarConfiguracion(), ['diasInactividad: 0 es menor que 1']);
+});
+
+test('findUserByEmail busca por email normalizado', () => {
+  const env = createEnvironment();
+
+  const user = env.gas.findUserByEmail('  LUIS.perez@empresa.com');
+
+  assert.strictEqual(user.name, 'Luis Pérez');
+  assert.strictEqual(user.row, 3);
+  assert.strictEqual(env.gas.findUserByEmail('nadie@empresa.com'), null);
+});
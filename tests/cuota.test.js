@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const pedro = { name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Viewer', group: 'RH' };
+
+function operaciones(env) {
+  return env.sheet('OperacionesPendientes').getDataRange().getValues().slice(1);
+}
+
+test('con cuota suficiente se envía sin registrar QUOTA_BAJA', () => {
+  const env = createEnvironment();
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.services.GmailApp.quota, 99);
+  assert.ok(loggedEvents(env).every(fila => fila[1] !== 'QUOTA_BAJA'));
+});
+
+test('un mensaje normal se difiere si invadiría la reserva para críticos', () => {
+  const env = createEnvironment({ config: { cuotaReservaCriticos: 10 } });
+  env.services.GmailApp.quota = 10;
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.emails.length, 0);
+  const [cuota, registro] = loggedEvents(env);
+  assert.strictEqual(cuota[1], 'QUOTA_BAJA');
+  assert.strictEqual(cuota[3], 'Cuota restante: 10, reserva para críticos: 10, destinatarios: 1 - ⚠️ Usuario inactivo detectado');
+  assert.strictEqual(cuota[4], 'ERROR');
+  assert.strictEqual(cuota[5], 'Email diferido');
+  assert.strictEqual(registro[5], 'Email en reintento');
+  assert.strictEqual(operaciones(env)[0][5], 'Cuota diaria de email insuficiente');
+});
+
+test('la promoción a Admin usa la cuota reservada', () => {
+  const env = createEnvironment({ config: { cuotaReservaCriticos: 10 } });
+  env.services.GmailApp.quota = 5;
+
+  env.gas.notifyRoleChange(Object.assign({}, pedro, { role: 'Admin' }));
+
+  assert.strictEqual(env.emails.length, 1);
+  const cuota = loggedEvents(env).find(fila => fila[1] === 'QUOTA_BAJA');
+  assert.strictEqual(cuota[4], 'WARNING');
+  assert.strictEqual(cuota[5], 'Email enviado con la cuota reservada');
+});
+
+test('la cuota cuenta todos los destinatarios, incluidos CC y BCC', () => {
+  const env = createEnvironment({
+    config: {
+      cuotaReservaCriticos: 0,
+      ccUsuarioInactivo: 'rh@empresa.com',
+      bccUsuarioInactivo: 'auditoria@empresa.com'
+    }
+  });
+  env.services.GmailApp.quota = 2;
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(loggedEvents(env)[0][3].includes('destinatarios: 3'), true);
+});
+
+test('los reintentos esperan sin consumir intentos mientras no haya cuota', () => {
+  const env = createEnvironment({ config: { cuotaReservaCriticos: 10 } });
+  env.services.GmailApp.quota = 10;
+  env.gas.processInactiveUser(pedro);
+  env.sheet('OperacionesPendientes').getRange(2, 7).setValue(new Date(Date.now() - 60000));
+
+  const resultado = env.gas.reintentarOperacionesPendientes();
+
+  assert.deepStrictEqual(resultado, { completadas: 0, fallidas: 0, pendientes: 1 });
+  assert.strictEqual(operaciones(env)[0][4], 1);
+  assert.ok(operaciones(env)[0][6] > new Date());
+
+  // Al renovarse la cuota el email sale y se registra el resultado
+  env.services.GmailApp.quota = 100;
+  env.sheet('OperacionesPendientes').getRange(2, 7).setValue(new Date(Date.now() - 60000));
+  env.gas.reintentarOperacionesPendientes();
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(loggedEvents(env).find(fila => fila[1] === 'REINTENTO_RESUELTO')[5], 'Email enviado (intento 2)');
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, daysAgo } = require('./helpers/gas');
+
+function usuariosConLideres() {
+  return [
+    ['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso', 'Líder'],
+    ['Ana López', 'ana@empresa.com', 'Admin', 'Finanzas', true, daysAgo(30), daysAgo(1), false],
+    ['Marta Ruiz', 'marta@empresa.com', 'Admin', 'IT', false, daysAgo(30), daysAgo(40), false],
+    ['Jorge Díaz', 'jorge@empresa.com', 'Editor', 'RH', true, daysAgo(30), daysAgo(1), true],
+    ['Sofía Gil', 'sofia@empresa.com', 'Editor', 'IT', true, daysAgo(30), daysAgo(1), true],
+    ['Raúl Mora', 'raul@empresa.com', 'Viewer', 'Seguridad', true, daysAgo(30), daysAgo(1), false]
+  ];
+}
+
+const luis = { name: 'Luis Pérez', email: 'luis@empresa.com', role: 'Viewer', group: 'RH' };
+
+test('por defecto los eventos van a emailNotificacion', () => {
+  const env = createEnvironment();
+
+  const recipients = env.gas.resolveRecipients('USUARIO_INACTIVO', { user: luis });
+
+  assert.deepStrictEqual(recipients, { to: ['admin@empresa.com'], cc: [], bcc: [] });
+});
+
+test('admins resuelve a los usuarios activos con rol Admin', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLideres() },
+    config: { destinatariosRolModificado: 'admins' }
+  });
+
+  const { to } = env.gas.resolveRecipients('ROL_MODIFICADO', { user: luis });
+
+  assert.deepStrictEqual(to, ['ana@empresa.com']);
+});
+
+test('admins reconoce el rol Admin sin distinguir mayúsculas', () => {
+  const usuarios = usuariosConLideres();
+  usuarios[1][2] = 'admin';
+  usuarios[3][2] = ' ADMIN ';
+  const env = createEnvironment({
+    sheets: { Usuarios: usuarios },
+    config: { destinatariosRolModificado: 'admins' }
+  });
+
+  const { to } = env.gas.resolveRecipients('ROL_MODIFICADO', { user: luis });
+
+  assert.deepStrictEqual(to, ['ana@empresa.com', 'jorge@empresa.com']);
+});
+
+test('lideres resuelve a los líderes del grupo del usuario del evento', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLideres() },
+    config: { destinatariosUsuarioAgregado: 'notificacion, lideres' }
+  });
+
+  const { to } = env.gas.resolveRecipients('USUARIO_AGREGADO', { user: luis });
+
+  assert.deepStrictEqual(to, ['admin@empresa.com', 'jorge@empresa.com']);
+});
+
+test('grupoAdmins con nombre de grupo usa los usuarios activos de ese grupo', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLideres() },
+    config: { grupoAdmins: 'Seguridad', destinatariosReporteInactivos: 'grupoAdmins' }
+  });
+
+  const { to } = env.gas.resolveRecipients('REPORTE_INACTIVOS', {});
+
+  assert.deepStrictEqual(to, ['raul@empresa.com']);
+});
+
+test('grupoAdmins con email de Google Group usa sus miembros', () => {
+  const env = createEnvironment({
+    config: { grupoAdmins: 'admins@empresa.com', destinatariosReporteInactivos: 'grupoAdmins' }
+  });
+  env.groups['admins@empresa.com'] = ['Uno@Empresa.com', 'dos@empresa.com'];
+
+  const { to } = env.gas.resolveRecipients('REPORTE_INACTIVOS', {});
+
+  assert.deepStrictEqual(to, ['uno@empresa.com', 'dos@empresa.com']);
+});
+
+test('si no se pueden leer los miembros del grupo se usa su dirección', () => {
+  const env = createEnvironment({
+    config: { grupoAdmins: 'externo@empresa.com', destinatariosReporteInactivos: 'grupoAdmins' }
+  });
+
+  const { to } = env.gas.resolveRecipients('REPORTE_INACTIVOS', {});
+
+  assert.deepStrictEqual(to, ['externo@empresa.com']);
+});
+
+test('cc y bcc no repiten destinatarios de las listas anteriores', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLideres() },
+    config: {
+      destinatariosUsuarioInactivo: 'notificacion',
+      ccUsuarioInactivo: 'admins; ADMIN@empresa.com',
+      bccUsuarioInactivo: 'ana@empresa.com, auditoria@empresa.com, usuario'
+    }
+  });
+
+  const recipients = env.gas.resolveRecipients('USUARIO_INACTIVO', { user: luis });
+
+  assert.deepStrictEqual(recipients, {
+    to: ['admin@empresa.com'],
+    cc: ['ana@empresa.com'],
+    bcc: ['auditoria@empresa.com', 'luis@empresa.com']
+  });
+});
+
+test('getConfig rechaza claves de destinatarios desconocidas', () => {
+  const env = createEnvironment({ config: { ccRolModificado: 'admins, jefes' } });
+
+  assert.throws(() => env.gas.getConfig(), /ccRolModificado: "jefes" no es un email ni una clave/);
+});
+
+test('las notificaciones se envían con los destinatarios del evento', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLideres() },
+    config: {
+      destinatariosRolModificado: 'admins, grupoAdmins',
+      grupoAdmins: 'Seguridad',
+      ccRolModificado: 'lideres',
+      bccRolModificado: 'auditoria@empresa.com'
+    }
+  });
+
+  env.gas.notifyRoleChange({ name: 'Pedro', email: 'pedro@empresa.com', role: 'Admin', group: 'IT' });
+
+  const [email] = env.emails;
+  assert.strictEqual(email.to, 'ana@empresa.com,raul@empresa.com');
+  assert.strictEqual(email.options.cc, 'sofia@empresa.com');
+  assert.strictEqual(email.options.bcc, 'auditoria@empresa.com');
+});
+
+test('sin destinatarios resueltos no se envía el email', () => {
+  const env = createEnvironment({ config: { destinatariosUsuarioInactivo: 'lideres' } });
+
+  assert.strictEqual(
+    env.gas.sendNotification('Asunto', 'Cuerpo', { eventType: 'USUARIO_INACTIVO', user: luis }),
+    false
+  );
+  assert.strictEqual(env.emails.length, 0);
+});
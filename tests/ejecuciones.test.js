@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents } = require('./helpers/gas');
+
+/**
+ * Filas de la hoja Ejecuciones sin encabezado.
+ */
+function ejecuciones(env) {
+  return env.sheet('Ejecuciones').getDataRange().getValues().slice(1);
+}
+
+test('un trigger de tiempo registra su ejecución y el ID en cada evento', () => {
+  const env = createEnvironment();
+
+  env.gas.verificarUsuariosInactivos({ triggerUid: '123' });
+
+  const [ejecucion] = ejecuciones(env);
+  assert.ok(ejecucion[0] instanceof Date);
+  assert.strictEqual(ejecucion[1], 'uuid-1');
+  assert.strictEqual(ejecucion[2], 'verificarUsuariosInactivos');
+  assert.strictEqual(ejecucion[3], 'tiempo');
+  assert.ok(ejecucion[4] >= 0, 'duración en segundos');
+  assert.strictEqual(ejecucion[5], 1, 'eventos registrados');
+  assert.strictEqual(ejecucion[6], 'revisadas: 2, desactivados: 1');
+  assert.strictEqual(ejecucion[7], 'OK');
+
+  const [evento] = loggedEvents(env);
+  assert.strictEqual(evento[1], 'USUARIO_INACTIVO');
+  assert.strictEqual(evento[8], 'uuid-1');
+  assert.strictEqual(env.gas.verifyAuditLog().valido, true);
+
+  env.sheet('RegistroDeEventos').getRange(2, 9).setValue('otra');
+  assert.strictEqual(env.gas.verifyAuditLog().problemas[0].tipo, 'MODIFICADA', 'el ID forma parte del hash');
+});
+
+test('la columna Procesado resume lo que retorna el proceso', () => {
+  const env = createEnvironment();
+
+  env.gas.reintentarOperacionesPendientes({ triggerUid: '123' });
+  env.gas.revertirRolesExpirados({ triggerUid: '456' });
+  env.gas.onEditInstalable(editEvent(env, 'Usuarios', 2, 4, { value: 'IT', oldValue: 'Finanzas' }));
+  env.gas.onChangeInstalable({ changeType: 'REMOVE_ROW' });
+
+  assert.deepStrictEqual(ejecuciones(env).map(ejecucion => ejecucion[6]), [
+    'completadas: 0, fallidas: 0, pendientes: 0',
+    '0',
+    'filas: 1, panel: true',
+    'cancelados: 0'
+  ]);
+});
+
+test('un error registrado por el trigger marca la ejecución CON ERRORES', () => {
+  const env = createEnvironment();
+
+  env.gas.onEditInstalable({ range: { getSheet: () => { throw new Error('sin hoja'); } } });
+
+  const [ejecucion] = ejecuciones(env);
+  assert.strictEqual(ejecucion[3], 'edicion');
+  assert.strictEqual(ejecucion[7], 'CON ERRORES');
+  assert.strictEqual(loggedEvents(env)[0][8], ejecucion[1], 'el evento ERROR lleva el ID de la ejecución');
+});
+
+test('una excepción se registra como ERROR y se vuelve a lanzar', () => {
+  const env = createEnvironment({ config: { diasInactividad: 'siete' } });
+
+  assert.throws(() => env.gas.verificarUsuariosInactivos(), /diasInactividad/);
+
+  const [ejecucion] = ejecuciones(env);
+  assert.strictEqual(ejecucion[3], 'manual');
+  assert.strictEqual(ejecucion[7], 'ERROR');
+  assert.match(ejecucion[8], /Configuración inválida/);
+  assert.ok(env.logs.some(line => line.startsWith('[ERROR] [uuid-1] verificarUsuariosInactivos falló')));
+});
+
+test('una función llamada dentro de otra ejecución no abre una nueva', () => {
+  const env = createEnvironment();
+
+  env.gas.continuarVerificacionInactivos({ triggerUid: '123' });
+
+  assert.deepStrictEqual(ejecuciones(env).map(ejecucion => ejecucion[2]), ['continuarVerificacionInactivos']);
+});
+
+test('las peticiones a la aplicación web tienen origen webapp', () => {
+  const env = createEnvironment();
+
+  env.gas.doGet({ parameter: { accion: 'aprobar', token: 'desconocido' } });
+
+  assert.strictEqual(ejecuciones(env)[0][3], 'webapp');
+});
+
+test('nivelLog filtra las líneas de log', () => {
+  const info = createEnvironment();
+  info.gas.verificarUsuariosInactivos();
+  assert.ok(info.logs.some(line => line === '[INFO] [uuid-1] Verificación diaria iniciada'));
+  assert.ok(!info.logs.some(line => line.startsWith('[DEBUG]')));
+
+  const debug = createEnvironment({ config: { nivelLog: 'DEBUG' } });
+  debug.gas.verificarUsuariosInactivos();
+  assert.ok(debug.logs.some(line => line === '[DEBUG] [uuid-1] Eventos registrados: 1'));
+
+  const warn = createEnvironment({ config: { nivelLog: 'warn' } });
+  warn.gas.verificarUsuariosInactivos();
+  assert.ok(!warn.logs.some(line => line.startsWith('[INFO]')));
+});
+
+test('fuera de una ejecución los eventos no llevan ID', () => {
+  const env = createEnvironment();
+
+  env.gas.logEvent({ type: 'PRUEBA' });
+
+  assert.strictEqual(loggedEvents(env)[0][8], '');
+  assert.strictEqual(env.sheet('Ejecuciones'), null);
+});
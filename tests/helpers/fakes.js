@@ -0,0 +1,645 @@
+/**
+ * ============================================================================
+ * Emulación en memoria de los servicios de Apps Script usados por el sistema:
+ * SpreadsheetApp, GmailApp, MailApp, CalendarApp, GroupsApp, UrlFetchApp, ScriptApp,
+ * PropertiesService, HtmlService, ContentService, LockService, Utilities y Logger.
+ * ============================================================================
+ *
+ * Cada fake guarda lo que recibe (filas escritas, emails, eventos, peticiones
+ * HTTP) para que las pruebas puedan verificarlo sin una cuenta de Google.
+ */
+
+const crypto = require('node:crypto');
+
+// ============================================================================
+// SPREADSHEET
+// ============================================================================
+
+class FakeRange {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (row < 1 || column < 1) {
+      throw new Error(`Rango inválido: fila ${row}, columna ${column}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows || 1;
+    this.numColumns = numColumns || 1;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+
+  getValues() {
+    const values = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const row = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        row.push(this.sheet._get(this.row + r, this.column + c));
+      }
+      values.push(row);
+    }
+    return values;
+  }
+
+  getValue() {
+    return this.sheet._get(this.row, this.column);
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numColumns; c++) {
+        this.sheet._set(this.row + r, this.column + c, value);
+      }
+    }
+    return this;
+  }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some(v => v.length !== this.numColumns)) {
+      throw new Error(
+        `Las dimensiones de los datos no coinciden con el rango (${this.numRows}x${this.numColumns})`
+      );
+    }
+    values.forEach((row, r) => {
+      row.forEach((value, c) => this.sheet._set(this.row + r, this.column + c, value));
+    });
+    return this;
+  }
+
+  clearContent() {
+    return this.setValue('');
+  }
+
+  setNote(note) {
+    this.sheet.notes[`${this.row}:${this.column}`] = note;
+    return this;
+  }
+
+  getNote() {
+    return this.sheet.notes[`${this.row}:${this.column}`] || '';
+  }
+
+  setBackground(color) {
+    this.sheet.backgrounds[`${this.row}:${this.column}`] = color;
+    return this;
+  }
+
+  getBackground() {
+    return this.sheet.backgrounds[`${this.row}:${this.column}`] || '#ffffff';
+  }
+
+  setFontWeight() { return this; }
+  setNumberFormat() { return this; }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name, rows) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.rows = (rows || []).map(row => row.slice());
+    this.notes = {};
+    this.backgrounds = {};
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.spreadsheet; }
+
+  getLastRow() {
+    for (let r = this.rows.length - 1; r >= 0; r--) {
+      if (this.rows[r].some(value => value !== '' && value !== null && value !== undefined)) {
+        return r + 1;
+      }
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    return this.rows.reduce((max, row) => {
+      for (let c = row.length - 1; c >= 0; c--) {
+        if (row[c] !== '' && row[c] !== null && row[c] !== undefined) {
+          return Math.max(max, c + 1);
+        }
+      }
+      return max;
+    }, 0);
+  }
+
+  getMaxRows() { return Math.max(this.rows.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  getRange(row, column, numRows, numColumns) {
+    return new FakeRange(this, row, column, numRows, numColumns);
+  }
+
+  appendRow(values) {
+    const lastRow = this.getLastRow();
+    this.rows.length = lastRow;
+    this.rows.push(values.slice());
+    return this;
+  }
+
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    return this;
+  }
+
+  deleteRows(row, howMany) {
+    this.rows.splice(row - 1, howMany);
+    return this;
+  }
+
+  insertRowBefore(row) {
+    this.rows.splice(row - 1, 0, []);
+    return this;
+  }
+
+  clear() {
+    this.rows = [];
+    this.notes = {};
+    this.backgrounds = {};
+    return this;
+  }
+
+  setFrozenRows() { return this; }
+  hideSheet() { this.hidden = true; return this; }
+  isSheetHidden() { return Boolean(this.hidden); }
+  autoResizeColumns() { return this; }
+
+  _get(row, column) {
+    const r = this.rows[row - 1];
+    if (!r || r[column - 1] === undefined || r[column - 1] === null) return '';
+    return r[column - 1];
+  }
+
+  _set(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const r = this.rows[row - 1];
+    while (r.length < column - 1) r.push('');
+    r[column - 1] = value;
+  }
+}
+
+class FakeSpreadsheet {
+  constructor(sheets, id) {
+    this.id = id || 'fake-spreadsheet-id';
+    this.sheets = [];
+    Object.keys(sheets || {}).forEach(name => this.insertSheet(name, sheets[name]));
+  }
+
+  getId() { return this.id; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}`; }
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sheet => sheet.getName() === name) || null;
+  }
+
+  insertSheet(name, rows) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`Ya existe una hoja llamada "${name}"`);
+    }
+    const sheet = new FakeSheet(this, name, rows);
+    this.sheets.push(sheet);
+    return sheet;
+  }
+
+  deleteSheet(sheet) {
+    this.sheets = this.sheets.filter(s => s !== sheet);
+  }
+}
+
+// ============================================================================
+// GMAIL
+// ============================================================================
+
+/**
+ * GmailApp en memoria. `failures` indica cuántos envíos siguientes fallan;
+ * `quota` es la cuota diaria restante (un punto por destinatario).
+ */
+function createGmailApp() {
+  const sent = [];
+  const app = {
+    sent,
+    failures: 0,
+    quota: 100,
+    sendEmail(recipient, subject, body, options) {
+      if (app.failures > 0) {
+        app.failures--;
+        throw new Error('Service invoked too many times for one day: email.');
+      }
+      const opts = options || {};
+      const count = [recipient, opts.cc, opts.bcc]
+        .filter(Boolean)
+        .reduce((total, list) => total + list.split(',').length, 0);
+      if (count > app.quota) {
+        throw new Error('Service invoked too many times for one day: email.');
+      }
+      app.quota -= count;
+      sent.push({ to: recipient, subject, body, options: opts });
+    }
+  };
+  return app;
+}
+
+/**
+ * MailApp comparte la cuota diaria con GmailApp.
+ */
+function createMailApp(gmailApp) {
+  return {
+    getRemainingDailyQuota: () => gmailApp.quota
+  };
+}
+
+// ============================================================================
+// CALENDAR
+// ============================================================================
+
+class FakeCalendarEvent {
+  constructor(calendar, id, title, startTime, endTime, options) {
+    this.calendar = calendar;
+    this.id = id;
+    this.title = title;
+    this.startTime = new Date(startTime);
+    this.endTime = new Date(endTime);
+    this.options = options || {};
+    this.description = this.options.description || '';
+    this.guests = (this.options.guests || '')
+      .split(',')
+      .map(g => g.trim())
+      .filter(Boolean);
+  }
+
+  getId() { return this.id; }
+  getTitle() { return this.title; }
+  getDescription() { return this.description; }
+  getStartTime() { return new Date(this.startTime); }
+  getEndTime() { return new Date(this.endTime); }
+  getGuestList() { return this.guests.map(email => ({ getEmail: () => email })); }
+
+  setTitle(title) { this.title = title; return this; }
+  setDescription(description) { this.description = description; return this; }
+  setTime(startTime, endTime) {
+    this.startTime = new Date(startTime);
+    this.endTime = new Date(endTime);
+    return this;
+  }
+  addGuest(email) {
+    if (!this.guests.includes(email)) this.guests.push(email);
+    return this;
+  }
+  removeGuest(email) {
+    this.guests = this.guests.filter(g => g !== email);
+    return this;
+  }
+  deleteEvent() {
+    this.calendar.events = this.calendar.events.filter(e => e !== this);
+  }
+}
+
+class FakeCalendar {
+  constructor(id) {
+    this.id = id;
+    this.events = [];
+    this.nextId = 1;
+    this.failures = 0;
+  }
+
+  getId() { return this.id; }
+
+  createEvent(title, startTime, endTime, options) {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('Calendar: Service error');
+    }
+    const event = new FakeCalendarEvent(
+      this, `evento-${this.nextId++}@google.com`, title, startTime, endTime, options
+    );
+    this.events.push(event);
+    return event;
+  }
+
+  getEvents(startTime, endTime) {
+    return this.events.filter(e => e.startTime < endTime && e.endTime > startTime);
+  }
+
+  getEventById(id) {
+    return this.events.find(e => e.id === id) || null;
+  }
+}
+
+function createCalendarApp() {
+  const calendars = { primary: new FakeCalendar('primary') };
+  return {
+    calendars,
+    getCalendarById(id) {
+      return calendars[id] || null;
+    },
+    getDefaultCalendar() {
+      return calendars.primary;
+    }
+  };
+}
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+/**
+ * GroupsApp con grupos en memoria: groups['admins@empresa.com'] = [emails].
+ */
+function createGroupsApp() {
+  const groups = {};
+  return {
+    groups,
+    getGroupByEmail(email) {
+      if (!groups[email]) {
+        throw new Error(`No se encontró el grupo ${email}`);
+      }
+      return {
+        getEmail: () => email,
+        getUsers: () => groups[email].map(member => ({ getEmail: () => member }))
+      };
+    }
+  };
+}
+
+// ============================================================================
+// URL FETCH (servidor HTTP local simulado)
+// ============================================================================
+
+/**
+ * Sustituto de un servidor HTTP: registra cada petición y responde con lo
+ * que devuelva `respond(request)` (por defecto HTTP 200).
+ */
+function createUrlFetchApp() {
+  const requests = [];
+  const app = {
+    requests,
+    respond: () => ({ code: 200, body: '{}' }),
+    fetch(url, params) {
+      const options = params || {};
+      const request = {
+        url,
+        method: (options.method || 'get').toLowerCase(),
+        contentType: options.contentType,
+        headers: options.headers || {},
+        payload: options.payload
+      };
+      requests.push(request);
+
+      const response = app.respond(request);
+      if (!options.muteHttpExceptions && (response.code < 200 || response.code >= 300)) {
+        throw new Error(`Request failed for ${url} returned code ${response.code}`);
+      }
+      return {
+        getResponseCode: () => response.code,
+        getContentText: () => response.body || ''
+      };
+    }
+  };
+  return app;
+}
+
+// ============================================================================
+// SCRIPT APP (TRIGGERS) Y PROPERTIES SERVICE
+// ============================================================================
+
+const EventType = {
+  CLOCK: 'CLOCK',
+  ON_EDIT: 'ON_EDIT',
+  ON_CHANGE: 'ON_CHANGE',
+  ON_OPEN: 'ON_OPEN',
+  ON_FORM_SUBMIT: 'ON_FORM_SUBMIT'
+};
+
+class FakeTrigger {
+  constructor(id, handler, eventType, schedule) {
+    this.id = id;
+    this.handler = handler;
+    this.eventType = eventType;
+    this.schedule = schedule;
+  }
+
+  getUniqueId() { return this.id; }
+  getHandlerFunction() { return this.handler; }
+  getEventType() { return this.eventType; }
+}
+
+/**
+ * ScriptApp con triggers en memoria. `schedule` guarda lo que se configuró
+ * en el builder (hora, intervalo, fuente) para poder verificarlo.
+ */
+function createScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+
+  function builder(handler) {
+    const schedule = {};
+    const create = eventType => () => {
+      const trigger = new FakeTrigger(String(nextId++), handler, eventType, schedule);
+      triggers.push(trigger);
+      return trigger;
+    };
+    const clock = {
+      everyDays(n) { schedule.everyDays = n; return clock; },
+      everyHours(n) { schedule.everyHours = n; return clock; },
+      everyMinutes(n) { schedule.everyMinutes = n; return clock; },
+      atHour(h) { schedule.atHour = h; return clock; },
+      nearMinute(m) { schedule.nearMinute = m; return clock; },
+      onMonthDay(d) { schedule.onMonthDay = d; return clock; },
+      after(ms) { schedule.after = ms; return clock; },
+      create: create(EventType.CLOCK)
+    };
+    const spreadsheet = {
+      onEdit() { schedule.source = 'spreadsheet'; return { create: create(EventType.ON_EDIT) }; },
+      onChange() { schedule.source = 'spreadsheet'; return { create: create(EventType.ON_CHANGE) }; },
+      onOpen() { schedule.source = 'spreadsheet'; return { create: create(EventType.ON_OPEN) }; }
+    };
+    return {
+      timeBased: () => clock,
+      forSpreadsheet: () => spreadsheet
+    };
+  }
+
+  return {
+    triggers,
+    EventType,
+    newTrigger: builder,
+    getProjectTriggers: () => triggers.slice(),
+    getService: () => ({ getUrl: () => 'https://script.google.com/macros/s/prueba/exec' }),
+    deleteTrigger(trigger) {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    }
+  };
+}
+
+class FakeProperties {
+  constructor() {
+    this.values = {};
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key) ? this.values[key] : null;
+  }
+
+  setProperty(key, value) {
+    this.values[key] = String(value);
+    return this;
+  }
+
+  deleteProperty(key) {
+    delete this.values[key];
+    return this;
+  }
+
+  getProperties() {
+    return Object.assign({}, this.values);
+  }
+
+  setProperties(properties) {
+    Object.keys(properties).forEach(key => this.setProperty(key, properties[key]));
+    return this;
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+}
+
+function createPropertiesService() {
+  const scriptProperties = new FakeProperties();
+  const userProperties = new FakeProperties();
+  return {
+    scriptProperties,
+    getScriptProperties: () => scriptProperties,
+    getUserProperties: () => userProperties
+  };
+}
+
+// ============================================================================
+// LOGGER Y UTILITIES
+// ============================================================================
+
+function createLogger() {
+  const lines = [];
+  return {
+    lines,
+    log(message) {
+      lines.push(typeof message === 'string' ? message : JSON.stringify(message));
+      return this;
+    }
+  };
+}
+
+/**
+ * Utilities: computeDigest devuelve bytes con signo, como en Apps Script.
+ */
+function createUtilities() {
+  let nextUuid = 1;
+  return {
+    DigestAlgorithm: { SHA_256: 'sha256' },
+    Charset: { UTF_8: 'utf8' },
+    sleep() {},
+    getUuid: () => `uuid-${nextUuid++}`,
+    computeDigest(algorithm, value, charset) {
+      const digest = crypto.createHash(algorithm).update(String(value), charset || 'utf8').digest();
+      return Array.from(digest, byte => (byte > 127 ? byte - 256 : byte));
+    }
+  };
+}
+
+/**
+ * ContentService: la salida guarda el texto y el tipo MIME.
+ */
+function createContentService() {
+  const MimeType = { JSON: 'application/json', TEXT: 'text/plain' };
+  return {
+    MimeType,
+    createTextOutput(content) {
+      const output = {
+        content,
+        mimeType: MimeType.TEXT,
+        getContent: () => output.content,
+        setMimeType(mimeType) { output.mimeType = mimeType; return output; }
+      };
+      return output;
+    }
+  };
+}
+
+/**
+ * LockService: un solo proceso, el lock siempre se obtiene.
+ */
+function createLockService() {
+  const lock = {
+    held: false,
+    hasLock: () => lock.held,
+    waitLock() { lock.held = true; },
+    releaseLock() { lock.held = false; }
+  };
+  return {
+    lock,
+    getScriptLock: () => lock
+  };
+}
+
+/**
+ * HtmlService: la salida guarda el HTML y el título para verificarlos.
+ */
+function createHtmlService() {
+  return {
+    createHtmlOutput(html) {
+      const output = {
+        html,
+        title: '',
+        getContent: () => output.html,
+        setTitle(title) { output.title = title; return output; }
+      };
+      return output;
+    }
+  };
+}
+
+/**
+ * Session: activeUser es el email de la cuenta que usa la aplicación web
+ * ('' si Apps Script no puede identificarla).
+ */
+function createSession() {
+  const session = {
+    activeUser: 'admin@empresa.com',
+    getActiveUser: () => ({ getEmail: () => session.activeUser })
+  };
+  return session;
+}
+
+module.exports = {
+  FakeRange,
+  FakeSheet,
+  FakeSpreadsheet,
+  FakeCalendar,
+  FakeCalendarEvent,
+  createGmailApp,
+  createMailApp,
+  createCalendarApp,
+  createGroupsApp,
+  createUrlFetchApp,
+  createScriptApp,
+  createPropertiesService,
+  createLogger,
+  createUtilities,
+  createHtmlService,
+  createContentService,
+  createLockService,
+  createSession
+};
@@ -0,0 +1,175 @@
+/**
+ * ============================================================================
+ * Carga los archivos .gs del proyecto en Node con los servicios simulados.
+ * ============================================================================
+ *
+ * Apps Script ejecuta todos los archivos en un mismo ámbito global; aquí se
+ * concatenan y se evalúan dentro de una función que recibe los fakes como
+ * variables globales. Cada llamada a createEnvironment() es independiente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FakeSpreadsheet,
+  createGmailApp,
+  createMailApp,
+  createCalendarApp,
+  createGroupsApp,
+  createUrlFetchApp,
+  createScriptApp,
+  createPropertiesService,
+  createLogger,
+  createUtilities,
+  createHtmlService,
+  createContentService,
+  createLockService,
+  createSession
+} = require('./fakes');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// El archivo de triggers se llama "Triggers,gs" en el repositorio
+const GS_FILE_PATTERN = /[.,]gs$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadSource() {
+  return fs.readdirSync(ROOT)
+    .filter(file => GS_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => `// ---- ${file} ----\n` + fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .join('\n');
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+/**
+ * Hojas mínimas para que el sistema funcione: configuración, usuarios y registro.
+ */
+function defaultSheets() {
+  return {
+    'Configuración': [
+      ['Parámetro', 'Valor'],
+      ['emailNotificacion', 'admin@empresa.com'],
+      ['calendarioId', 'primary'],
+      ['notificarAdmins', true],
+      ['crearEventoCalendar', true]
+    ],
+    'Usuarios': [
+      ['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso'],
+      ['Ana López', 'ana.lopez@empresa.com', 'Editor', 'Finanzas', true, daysAgo(30), daysAgo(1)],
+      ['Luis Pérez', 'luis.perez@empresa.com', 'Viewer', 'RH', true, daysAgo(60), daysAgo(10)]
+    ],
+    'RegistroDeEventos': [
+      ['Fecha', 'Tipo', 'Usuario', 'Detalles', 'Estado', 'Acción']
+    ]
+  };
+}
+
+/**
+ * Crea un entorno aislado con los .gs cargados.
+ * options.sheets sustituye hojas completas; options.config agrega o
+ * reemplaza parámetros de la hoja Configuración; options.spreadsheets son
+ * IDs de otros spreadsheets (vacíos) que se pueden abrir con openById.
+ */
+function createEnvironment(options) {
+  const opts = options || {};
+  const sheets = Object.assign(defaultSheets(), opts.sheets || {});
+
+  if (opts.config) {
+    const configRows = sheets['Configuración'];
+    Object.keys(opts.config).forEach(key => {
+      const existing = configRows.find(row => row[0] === key);
+      if (existing) {
+        existing[1] = opts.config[key];
+      } else {
+        configRows.push([key, opts.config[key]]);
+      }
+    });
+  }
+
+  const spreadsheet = new FakeSpreadsheet(sheets);
+  const externos = {};
+  (opts.spreadsheets || []).forEach(id => { externos[id] = new FakeSpreadsheet({}, id); });
+  const gmailApp = createGmailApp();
+  const services = {
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      openById(id) {
+        if (!externos[id]) throw new Error(`No se encontró el spreadsheet ${id}`);
+        return externos[id];
+      }
+    },
+    GmailApp: gmailApp,
+    MailApp: createMailApp(gmailApp),
+    CalendarApp: createCalendarApp(),
+    GroupsApp: createGroupsApp(),
+    UrlFetchApp: createUrlFetchApp(),
+    ScriptApp: createScriptApp(),
+    PropertiesService: createPropertiesService(),
+    HtmlService: createHtmlService(),
+    ContentService: createContentService(),
+    LockService: createLockService(),
+    Session: createSession(),
+    Logger: createLogger(),
+    Utilities: createUtilities()
+  };
+
+  const source = loadSource();
+  const functionNames = Array.from(source.matchAll(/^function\s+([^\s(]+)/gm), m => m[1]);
+  const serviceNames = Object.keys(services);
+  const factory = new Function(
+    ...serviceNames,
+    `${source}\nreturn { ${functionNames.join(', ')} };`
+  );
+  const gas = factory(...serviceNames.map(name => services[name]));
+
+  return {
+    gas,
+    spreadsheet,
+    sheet: name => spreadsheet.getSheetByName(name),
+    externos,
+    emails: services.GmailApp.sent,
+    calendar: services.CalendarApp.calendars.primary,
+    groups: services.GroupsApp.groups,
+    http: services.UrlFetchApp,
+    triggers: services.ScriptApp.triggers,
+    properties: services.PropertiesService.scriptProperties,
+    logs: services.Logger.lines,
+    session: services.Session,
+    services
+  };
+}
+
+/**
+ * Construye el objeto de evento que Apps Script pasa a un trigger onEdit.
+ */
+function editEvent(env, sheetName, row, column, values) {
+  const sheet = env.sheet(sheetName);
+  const extra = values || {};
+  return {
+    source: env.spreadsheet,
+    range: sheet.getRange(row, column),
+    value: extra.value,
+    oldValue: extra.oldValue
+  };
+}
+
+/**
+ * Filas de RegistroDeEventos sin encabezado.
+ */
+function loggedEvents(env) {
+  return env.sheet('RegistroDeEventos').getDataRange().getValues().slice(1);
+}
+
+module.exports = {
+  DAY_MS,
+  daysAgo,
+  defaultSheets,
+  createEnvironment,
+  editEvent,
+  loggedEvents
+};
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const HORA_MS = 60 * 60 * 1000;
+
+const config = {
+  diasHastaOnboarding: 1,
+  horaOnboarding: 10,
+  horaFinLaboral: 18,
+  duracionOnboardingMin: 60,
+  diasBusquedaOnboarding: 14
+};
+
+// Jueves 15 de octubre de 2026, 9:00
+function jueves() {
+  return new Date(2026, 9, 15, 9, 0, 0);
+}
+
+function horario(env, desde, extra) {
+  return env.gas.buscarHorarioOnboarding(env.calendar, Object.assign({}, config, extra), desde);
+}
+
+test('agenda el día siguiente a la hora de inicio si está libre', () => {
+  const env = createEnvironment();
+
+  const { start, end } = horario(env, jueves());
+
+  assert.deepStrictEqual(start, new Date(2026, 9, 16, 10, 0));
+  assert.deepStrictEqual(end, new Date(2026, 9, 16, 11, 0));
+});
+
+test('salta fines de semana y festivos', () => {
+  const env = createEnvironment({
+    sheets: {
+      Festivos: [
+        ['Fecha', 'Descripción'],
+        [new Date(2026, 9, 19), 'Festivo de prueba'],
+        ['2026-10-20', 'Festivo en texto']
+      ]
+    }
+  });
+
+  // Viernes 16 → sábado y domingo se saltan, lunes 19 y martes 20 son festivos
+  const { start } = horario(env, new Date(2026, 9, 16, 9, 0));
+
+  assert.deepStrictEqual(start, new Date(2026, 9, 21, 10, 0));
+});
+
+test('toma el primer espacio libre después de los eventos del calendario', () => {
+  const env = createEnvironment();
+  env.calendar.createEvent('Reunión', new Date(2026, 9, 16, 9, 30), new Date(2026, 9, 16, 11, 15));
+  env.calendar.createEvent('Comité', new Date(2026, 9, 16, 12, 0), new Date(2026, 9, 16, 13, 0));
+
+  const { start, end } = horario(env, jueves());
+
+  // 11:15 se redondea a 11:30; 11:30-12:30 choca con el comité → 13:00
+  assert.deepStrictEqual(start, new Date(2026, 9, 16, 13, 0));
+  assert.deepStrictEqual(end, new Date(2026, 9, 16, 14, 0));
+});
+
+test('pasa al siguiente día laborable si la jornada está llena', () => {
+  const env = createEnvironment();
+  env.calendar.createEvent('Taller', new Date(2026, 9, 16, 8, 0), new Date(2026, 9, 16, 17, 30));
+
+  const { start } = horario(env, jueves());
+
+  assert.deepStrictEqual(start, new Date(2026, 9, 19, 10, 0));
+});
+
+test('el mismo día empieza después de la hora actual', () => {
+  const env = createEnvironment();
+
+  const { start } = horario(env, new Date(2026, 9, 15, 14, 10), { diasHastaOnboarding: 0 });
+
+  assert.deepStrictEqual(start, new Date(2026, 9, 15, 14, 30));
+});
+
+test('retorna null si no hay espacio en los días de búsqueda', () => {
+  const env = createEnvironment();
+  env.calendar.createEvent('Viaje', new Date(2026, 9, 16, 0, 0), new Date(2026, 9, 24, 0, 0));
+
+  assert.strictEqual(horario(env, jueves(), { diasBusquedaOnboarding: 5 }), null);
+});
+
+test('processNewUser registra el horario elegido', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.processNewUser({ name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Viewer', group: 'RH' }, 4);
+
+  const [evento] = env.calendar.events;
+  assert.ok([1, 2, 3, 4, 5].includes(evento.startTime.getDay()), 'día laborable');
+  assert.strictEqual(evento.endTime - evento.startTime, HORA_MS);
+  const detalles = loggedEvents(env)[0][3];
+  assert.match(detalles, /, Onboarding: \S+ \d+:\d\d-\d+:\d\d$/);
+  assert.ok(detalles.includes(evento.startTime.toLocaleDateString('es-MX')));
+});
+
+test('la sesión debe caber entre horaOnboarding y horaFinLaboral', () => {
+  const env = createEnvironment({ config: { horaOnboarding: 17, horaFinLaboral: 18, duracionOnboardingMin: 90 } });
+
+  const errores = env.gas.validarConfiguracion();
+
+  assert.deepStrictEqual(errores, ['horaFinLaboral: 18 no deja espacio para una sesión de 90 min desde las 17:00']);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const WEBHOOK = 'https://chat.googleapis.com/v1/spaces/AAA/messages?key=k&token=t';
+
+const nuevoUsuario = {
+  name: 'Pedro Ramírez',
+  email: 'pedro.ramirez@empresa.com',
+  role: 'Viewer',
+  group: 'RH'
+};
+
+test('sendNotification no envía si notificarAdmins está desactivado', () => {
+  const env = createEnvironment({ config: { notificarAdmins: false } });
+
+  assert.strictEqual(env.gas.sendNotification('Asunto', 'Cuerpo'), false);
+  assert.strictEqual(env.emails.length, 0);
+});
+
+test('sendNotification rechaza un email de destino inválido', () => {
+  const env = createEnvironment({ config: { emailNotificacion: 'no-es-email' } });
+
+  assert.strictEqual(env.gas.sendNotification('Asunto', 'Cuerpo'), false);
+  assert.strictEqual(env.emails.length, 0);
+});
+
+test('createCalendarEvent respeta crearEventoCalendar', () => {
+  const env = createEnvironment({ config: { crearEventoCalendar: 'FALSE' } });
+
+  const result = env.gas.createCalendarEvent('Evento', 'Descripción', new Date(), new Date());
+
+  assert.strictEqual(result, false);
+  assert.strictEqual(env.calendar.events.length, 0);
+});
+
+test('processNewUser registra fechas, email, evento y log', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.processNewUser(nuevoUsuario, 4);
+
+  assert.ok(env.sheet('Usuarios').getRange(4, 6).getValue() instanceof Date);
+  assert.strictEqual(env.emails[0].subject, '✅ Nuevo usuario agregado');
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado y evento creado');
+});
+
+test('el canal chat envía una tarjeta al webhook en lugar del email', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalUsuarioAgregado: 'chat' }
+  });
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.processNewUser(nuevoUsuario, 4);
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(env.http.requests.length, 1);
+
+  const request = env.http.requests[0];
+  assert.strictEqual(request.url, WEBHOOK);
+  assert.strictEqual(request.method, 'post');
+
+  const card = JSON.parse(request.payload).cardsV2[0].card;
+  assert.strictEqual(card.header.title, '✅ Nuevo usuario agregado');
+  const labels = card.sections[0].widgets.map(w => w.decoratedText.topLabel);
+  assert.deepStrictEqual(labels, ['Nombre', 'Email', 'Rol', 'Grupo']);
+
+  assert.strictEqual(loggedEvents(env)[0][5], 'Chat enviado y evento creado');
+});
+
+test('el canal ambos envía email y Chat', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalUsuarioInactivo: 'Ambos' }
+  });
+
+  env.gas.processInactiveUser(nuevoUsuario);
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.http.requests.length, 1);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email y Chat enviados');
+});
+
+test('enviarReporteInactivos lista a cada usuario en la tarjeta de Chat', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalReporteInactivos: 'chat' }
+  });
+
+  env.gas.enviarReporteInactivos([
+    { name: 'Luis Pérez', group: 'RH', days: 10 },
+    { name: 'Ana López', group: 'Finanzas', days: 12 }
+  ]);
+
+  const card = JSON.parse(env.http.requests[0].payload).cardsV2[0].card;
+  assert.strictEqual(card.header.subtitle, '2 usuarios sin actividad');
+  assert.strictEqual(card.sections[0].widgets[0].decoratedText.text, 'Luis Pérez - 10 días');
+});
+
+test('sendChatMessage devuelve false si el webhook responde con error', () => {
+  const env = createEnvironment({ config: { chatWebhookUrl: WEBHOOK } });
+  env.http.respond = () => ({ code: 500, body: 'Internal error' });
+
+  assert.strictEqual(env.gas.sendChatMessage({ text: 'Hola' }), false);
+  assert.ok(env.logs.some(line => line.includes('HTTP 500')));
+});
+
+test('sendChatMessage no hace peticiones sin webhook configurado', () => {
+  const env = createEnvironment();
+
+  assert.strictEqual(env.gas.sendChatMessage({ text: 'Hola' }), false);
+  assert.strictEqual(env.http.requests.length, 0);
+});
+
+test('processNewUser agenda el onboarding con la hora y duración configuradas', () => {
+  const env = createEnvironment({
+    config: { diasHastaOnboarding: 2, horaOnboarding: 16, duracionOnboardingMin: 90 }
+  });
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.processNewUser(nuevoUsuario, 4);
+
+  const [event] = env.calendar.events;
+  const expected = new Date();
+  expected.setDate(expected.getDate() + 2);
+  expected.setHours(16, 0, 0, 0);
+  assert.strictEqual(event.getStartTime().getTime(), expected.getTime());
+  assert.strictEqual(event.getEndTime() - event.getStartTime(), 90 * 60 * 1000);
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents, daysAgo } = require('./helpers/gas');
+
+const ENCABEZADOS = ['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso', 'Líder'];
+
+function usuariosConLider(extra) {
+  return [
+    ENCABEZADOS,
+    ['Ana López', 'ana.lopez@empresa.com', 'Editor', 'RH', true, daysAgo(30), daysAgo(1), true],
+    ['Luis Pérez', 'luis.perez@empresa.com', 'Viewer', 'RH', true, daysAgo(60), daysAgo(2), false],
+    ['Pedro Ramírez', 'Pedro.Ramirez@empresa.com', 'Viewer', 'RH', true, '', '', false]
+  ].concat(extra || []);
+}
+
+function celda(env, fila, encabezado) {
+  const usuarios = env.sheet('Usuarios');
+  const headers = usuarios.getRange(1, 1, 1, usuarios.getLastColumn()).getValues()[0];
+  return usuarios.getRange(fila, headers.indexOf(encabezado) + 1).getValue();
+}
+
+test('el onboarding invita al nuevo usuario y guarda el ID y el estado en su fila', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+
+  const [evento] = env.calendar.events;
+  assert.deepStrictEqual(evento.guests, ['pedro.ramirez@empresa.com']);
+  assert.strictEqual(evento.options.sendInvites, true);
+
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Agendado');
+  assert.strictEqual(celda(env, 4, 'ID Evento Onboarding'), evento.getId());
+  assert.strictEqual(celda(env, 2, 'Onboarding'), '', 'las demás filas no cambian');
+});
+
+test('invitarLiderOnboarding agrega a los líderes activos del grupo', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLider() },
+    config: { invitarLiderOnboarding: true }
+  });
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+
+  assert.deepStrictEqual(env.calendar.events[0].guests, ['pedro.ramirez@empresa.com', 'ana.lopez@empresa.com']);
+});
+
+test('sin evento el onboarding queda Pendiente', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLider() },
+    config: { crearEventoCalendar: false }
+  });
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Pendiente');
+  assert.strictEqual(celda(env, 4, 'ID Evento Onboarding'), '');
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado y evento no creado');
+});
+
+test('si el evento se crea en un reintento la fila pasa a Agendado', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  env.calendar.failures = 1;
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Pendiente');
+
+  env.sheet('OperacionesPendientes').getRange(2, 7).setValue(daysAgo(1));
+  env.gas.reintentarOperacionesPendientes();
+
+  assert.strictEqual(env.calendar.events[0].guests[0], 'pedro.ramirez@empresa.com');
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Agendado');
+  assert.strictEqual(celda(env, 4, 'ID Evento Onboarding'), env.calendar.events[0].getId());
+});
+
+test('actualizarEstadosOnboarding marca Completado y Cancelado', () => {
+  const env = createEnvironment({
+    sheets: {
+      Usuarios: [
+        ENCABEZADOS.concat(['Onboarding', 'ID Evento Onboarding']),
+        ['Ana López', 'ana.lopez@empresa.com', 'Editor', 'RH', true, daysAgo(30), daysAgo(1), false, 'Agendado', ''],
+        ['Luis Pérez', 'luis.perez@empresa.com', 'Viewer', 'RH', true, daysAgo(60), daysAgo(2), false, 'Agendado', 'borrado@google.com'],
+        ['Eva Ruiz', 'eva.ruiz@empresa.com', 'Viewer', 'IT', true, daysAgo(3), daysAgo(1), false, 'Agendado', ''],
+        ['Sara Gil', 'sara.gil@empresa.com', 'Viewer', 'IT', true, daysAgo(1), daysAgo(1), false, 'Agendado', '']
+      ]
+    }
+  });
+  const pasado = env.calendar.createEvent('Onboarding Eva', daysAgo(2), daysAgo(2 - 1 / 24));
+  const futuro = env.calendar.createEvent('Onboarding Sara', daysAgo(-1), daysAgo(-1 - 1 / 24));
+  env.sheet('Usuarios').getRange(4, 10).setValue(pasado.getId());
+  env.sheet('Usuarios').getRange(5, 10).setValue(futuro.getId());
+
+  const resultado = env.gas.actualizarEstadosOnboarding();
+
+  assert.deepStrictEqual(resultado, { completados: 1, cancelados: 1 });
+  assert.strictEqual(celda(env, 2, 'Onboarding'), 'Agendado', 'sin ID no se revisa');
+  assert.strictEqual(celda(env, 3, 'Onboarding'), 'Cancelado');
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Completado');
+  assert.strictEqual(celda(env, 5, 'Onboarding'), 'Agendado');
+  assert.strictEqual(loggedEvents(env)[0][1], 'ONBOARDING_ACTUALIZADO');
+});
+
+/**
+ * Agenda el onboarding de Pedro (fila 4) y retorna el evento.
+ */
+function agendarPedro(env) {
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+  return env.calendar.events[0];
+}
+
+/**
+ * Foto de onboardings agendados guardada en la hoja oculta, como { email: eventId }.
+ */
+function snapshot(env) {
+  const filas = env.sheet('OnboardingAgendados').getDataRange().getValues().slice(1);
+  return Object.fromEntries(filas.filter(fila => fila[0]).map(fila => [fila[0], fila[1]]));
+}
+
+test('desactivar al usuario cancela su onboarding pendiente', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  const evento = agendarPedro(env);
+
+  env.sheet('Usuarios').getRange(4, 5).setValue(false);
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 5));
+
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Cancelado');
+  const cancelado = loggedEvents(env).find(fila => fila[1] === 'ONBOARDING_CANCELADO');
+  assert.strictEqual(cancelado[2], 'pedro.ramirez@empresa.com');
+  assert.ok(cancelado[3].includes(evento.getId()));
+  assert.strictEqual(cancelado[5], 'Evento eliminado del calendario');
+});
+
+test('desactivar después de la sesión no toca el evento', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  const evento = agendarPedro(env);
+  evento.setTime(daysAgo(2), daysAgo(2 - 1 / 24));
+
+  env.sheet('Usuarios').getRange(4, 5).setValue(false);
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 5));
+
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Agendado');
+});
+
+test('eliminar la fila cancela el onboarding del usuario eliminado', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  agendarPedro(env);
+
+  env.sheet('Usuarios').deleteRow(2);
+  env.gas.onChangeInstalable({ changeType: 'REMOVE_ROW' });
+  assert.strictEqual(env.calendar.events.length, 1, 'Ana no tenía onboarding');
+
+  env.sheet('Usuarios').deleteRow(3);
+  env.gas.onChangeInstalable({ changeType: 'REMOVE_ROW' });
+
+  assert.strictEqual(env.calendar.events.length, 0);
+  const cancelado = loggedEvents(env).find(fila => fila[1] === 'ONBOARDING_CANCELADO');
+  assert.ok(cancelado[3].includes('fila eliminada de Usuarios'));
+  assert.deepStrictEqual(snapshot(env), {});
+});
+
+test('la foto de onboardings se guarda en una hoja oculta sin límite de tamaño', () => {
+  const agendados = Array.from({ length: 300 }, (_, i) =>
+    [`Usuario ${i}`, `usuario.${i}@empresa.com`, 'Viewer', 'RH', true, daysAgo(5), daysAgo(1), false, 'Agendado', `evento-antiguo-${i}`]);
+  const usuarios = usuariosConLider(agendados);
+  usuarios[0] = ENCABEZADOS.concat(['Onboarding', 'ID Evento Onboarding']);
+  const env = createEnvironment({ sheets: { Usuarios: usuarios } });
+
+  const evento = agendarPedro(env);
+
+  assert.strictEqual(Object.keys(snapshot(env)).length, 301);
+  assert.strictEqual(snapshot(env)['pedro.ramirez@empresa.com'], evento.getId());
+  assert.strictEqual(env.sheet('OnboardingAgendados').isSheetHidden(), true);
+  assert.strictEqual(env.properties.getProperty('ONBOARDING_AGENDADOS'), null);
+  assert.ok(loggedEvents(env).some(fila => fila[1] === 'USUARIO_AGREGADO'));
+});
+
+test('otros cambios de estructura no cancelan nada', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  agendarPedro(env);
+
+  env.gas.onChangeInstalable({ changeType: 'INSERT_ROW' });
+
+  assert.strictEqual(env.calendar.events.length, 1);
+});
+
+test('cambiar email o nombre actualiza el evento de onboarding', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  const evento = agendarPedro(env);
+  const usuarios = env.sheet('Usuarios');
+
+  usuarios.getRange(4, 2).setValue('pedro.r@empresa.com');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 2));
+
+  assert.deepStrictEqual(evento.guests, ['pedro.r@empresa.com']);
+  assert.ok(evento.getDescription().includes('pedro.r@empresa.com'));
+
+  usuarios.getRange(4, 1).setValue('Pedro Ramírez Soto');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+
+  assert.strictEqual(evento.getTitle(), '🎯 Onboarding: Pedro Ramírez Soto');
+  const cambios = loggedEvents(env).filter(fila => fila[1] === 'ONBOARDING_MODIFICADO');
+  assert.strictEqual(cambios.length, 2);
+  assert.ok(cambios[0][3].includes('invitados retirados: pedro.ramirez@empresa.com'));
+  assert.ok(cambios[0][3].includes('invitados agregados: pedro.r@empresa.com'));
+
+  // El usuario con el nuevo email sigue en la foto de onboardings
+  assert.deepStrictEqual(
+    Object.keys(snapshot(env)),
+    ['pedro.r@empresa.com']
+  );
+});
+
+test('la verificación diaria cancela el onboarding de los usuarios que desactiva', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  const evento = agendarPedro(env);
+  env.sheet('Usuarios').getRange(4, 7).setValue(daysAgo(400));
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.strictEqual(celda(env, 4, 'Onboarding'), 'Cancelado');
+  const cancelado = loggedEvents(env).find(fila => fila[1] === 'ONBOARDING_CANCELADO');
+  assert.strictEqual(cancelado[3], `Pedro Ramírez: usuario desactivado por inactividad (evento ${evento.getId()})`);
+});
+
+test('si el horario ya no es válido, un cambio de datos mueve el evento', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: usuariosConLider(), Festivos: [['Fecha', 'Descripción']] }
+  });
+  const evento = agendarPedro(env);
+  const original = evento.getStartTime();
+  env.sheet('Festivos').appendRow([original, 'Día inhábil']);
+
+  env.sheet('Usuarios').getRange(4, 4).setValue('IT');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 4));
+
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.ok(evento.getStartTime() > original, 'el evento pasa a un día posterior');
+  assert.notStrictEqual(env.gas.claveFecha(evento.getStartTime()), env.gas.claveFecha(original));
+  const modificado = loggedEvents(env).find(fila => fila[1] === 'ONBOARDING_MODIFICADO');
+  assert.match(modificado[3], /movido a /);
+});
+
+test('un cambio de datos no mueve un evento con horario válido', () => {
+  const env = createEnvironment({ sheets: { Usuarios: usuariosConLider() } });
+  const evento = agendarPedro(env);
+  const original = evento.getStartTime();
+
+  env.sheet('Usuarios').getRange(4, 1).setValue('Pedro Ramírez Soto');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 1));
+
+  assert.deepStrictEqual(evento.getStartTime(), original);
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, daysAgo } = require('./helpers/gas');
+
+/**
+ * Usuarios de tres grupos, con un inactivo, un rol fuera de la jerarquía y
+ * onboardings sin completar.
+ */
+function entornoPanel() {
+  return createEnvironment({
+    sheets: {
+      'Usuarios': [
+        ['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso', 'Onboarding'],
+        ['Ana López', 'ana.lopez@empresa.com', 'Editor', 'Finanzas', true, daysAgo(30), daysAgo(2), 'Completado'],
+        ['Luis Pérez', 'luis.perez@empresa.com', 'Viewer', 'RH', false, daysAgo(60), daysAgo(40), 'Pendiente'],
+        ['Marta Ruiz', 'marta.ruiz@empresa.com', 'Admin', 'IT', true, daysAgo(90), daysAgo(10), ''],
+        ['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Auditor', 'IT', true, daysAgo(5), daysAgo(3), 'Pendiente'],
+        ['Sara Gil', 'sara.gil@empresa.com', 'Viewer', 'RH', true, daysAgo(2), daysAgo(1), 'Agendado']
+      ]
+    }
+  });
+}
+
+/**
+ * Filas de una sección del Panel (sin título ni encabezados) hasta la
+ * siguiente fila en blanco.
+ */
+function seccion(env, titulo) {
+  const filas = env.sheet('Panel').getDataRange().getValues();
+  const inicio = filas.findIndex(fila => fila[0] === titulo);
+  assert.notStrictEqual(inicio, -1, `sección ${titulo}`);
+
+  const datos = [];
+  for (let i = inicio + 2; i < filas.length && filas[i][0] !== ''; i++) datos.push(filas[i]);
+  return datos;
+}
+
+test('cuenta usuarios activos e inactivos por grupo', () => {
+  const env = entornoPanel();
+
+  env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(seccion(env, 'Usuarios por grupo'), [
+    ['Finanzas', 1, 0, 1],
+    ['IT', 2, 0, 2],
+    ['RH', 1, 1, 2],
+    ['Total', 4, 1, 5]
+  ]);
+});
+
+test('ordena los roles según jerarquiaRoles y agrega los demás al final', () => {
+  const env = entornoPanel();
+
+  env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(seccion(env, 'Roles').map(fila => fila.slice(0, 2)), [
+    ['Viewer', 1],
+    ['Editor', 1],
+    ['Admin', 1],
+    ['Auditor', 1],
+    ['Total', 4]
+  ]);
+});
+
+test('calcula el promedio y el máximo de días sin acceso de los activos', () => {
+  const env = entornoPanel();
+
+  env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(seccion(env, 'Último acceso (usuarios activos)'), [
+    ['Promedio', 4, '', ''],
+    ['Máximo', 10, 'Marta Ruiz', '']
+  ]);
+});
+
+test('muestra los onboardings pendientes de usuarios activos', () => {
+  const env = entornoPanel();
+
+  env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(seccion(env, 'Onboarding'), [
+    ['Pendiente', 1, 5, ''],
+    ['Agendado', 1, 2, '']
+  ]);
+});
+
+test('cuenta los eventos por tipo de los últimos 30 días', () => {
+  const env = entornoPanel();
+  const registro = env.sheet('RegistroDeEventos');
+  registro.appendRow([daysAgo(45), 'USUARIO_AGREGADO', 'Sistema', 'antiguo', 'OK', 'Ninguna']);
+  env.gas.logEvent({ type: 'ROL_MODIFICADO' });
+  env.gas.logEvent({ type: 'USUARIO_AGREGADO' });
+  env.gas.logEvent({ type: 'ROL_MODIFICADO' });
+
+  const resultado = env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(resultado, { usuarios: 5, eventos: 3 });
+  assert.deepStrictEqual(seccion(env, 'Eventos de los últimos 30 días').map(fila => fila.slice(0, 2)), [
+    ['ROL_MODIFICADO', 2],
+    ['USUARIO_AGREGADO', 1],
+    ['Total', 3]
+  ]);
+});
+
+test('una edición de Usuarios regenera el Panel', () => {
+  const env = entornoPanel();
+  env.sheet('Usuarios').getRange(3, 5).setValue(true);
+
+  env.gas.onEditInstalable(editEvent(env, 'Usuarios', 3, 5, { value: 'TRUE', oldValue: 'FALSE' }));
+
+  assert.deepStrictEqual(seccion(env, 'Usuarios por grupo').pop(), ['Total', 5, 0, 5]);
+  assert.deepStrictEqual(seccion(env, 'Eventos de los últimos 30 días')[0].slice(0, 2), ['USUARIO_REACTIVADO', 1]);
+});
+
+test('las ediciones seguidas no reconstruyen el Panel cada vez', () => {
+  const env = entornoPanel();
+  env.gas.actualizarPanel();
+  env.sheet('Usuarios').getRange(3, 5).setValue(true);
+
+  env.gas.onEditInstalable(editEvent(env, 'Usuarios', 3, 5, { value: 'TRUE', oldValue: 'FALSE' }));
+  assert.deepStrictEqual(seccion(env, 'Usuarios por grupo').pop(), ['Total', 4, 1, 5], 'se omite dentro del intervalo');
+
+  env.properties.setProperty('PANEL_ACTUALIZADO', String(Date.now() - 11 * 60 * 1000));
+  env.sheet('Usuarios').getRange(2, 4).setValue('IT');
+  env.gas.onEditInstalable(editEvent(env, 'Usuarios', 2, 4, { value: 'IT', oldValue: 'Finanzas' }));
+
+  assert.deepStrictEqual(seccion(env, 'Usuarios por grupo'), [
+    ['IT', 3, 0, 3],
+    ['RH', 2, 0, 2],
+    ['Total', 5, 0, 5]
+  ]);
+});
+
+test('las secciones sin datos lo indican', () => {
+  const env = createEnvironment({ sheets: { 'Usuarios': [['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso']] } });
+
+  env.gas.actualizarPanel();
+
+  assert.deepStrictEqual(seccion(env, 'Usuarios por grupo'), [['Sin datos', '', '', '']]);
+  assert.deepStrictEqual(seccion(env, 'Onboarding'), [['Sin datos', '', '', '']]);
+});
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment } = require('./helpers/gas');
+
+const PLANTILLAS_HEADERS = ['Clave', 'Asunto', 'Texto', 'HTML'];
+
+test('renderTemplate reemplaza marcadores simples y anidados', () => {
+  const { gas } = createEnvironment();
+
+  const result = gas.renderTemplate('Hola {{ nombre }} ({{usuario.email}}){{faltante}}', {
+    nombre: 'Ana',
+    usuario: { email: 'ana@empresa.com' }
+  });
+
+  assert.strictEqual(result, 'Hola Ana (ana@empresa.com)');
+});
+
+test('renderTemplate repite bloques {{#each}} con los datos de cada elemento', () => {
+  const { gas } = createEnvironment();
+
+  const result = gas.renderTemplate(
+    '{{titulo}}:{{#each usuarios}} [{{nombre}}/{{titulo}}]{{/each}}',
+    { titulo: 'Lista', usuarios: [{ nombre: 'Ana' }, { nombre: 'Luis' }] }
+  );
+
+  assert.strictEqual(result, 'Lista: [Ana/Lista] [Luis/Lista]');
+});
+
+test('getTemplate usa la plantilla por defecto si no hay hoja Plantillas', () => {
+  const { gas } = createEnvironment();
+
+  assert.strictEqual(gas.getTemplate('USUARIO_INACTIVO').asunto, '⚠️ Usuario inactivo detectado');
+  assert.throws(() => gas.getTemplate('NO_EXISTE'), /Plantilla no encontrada: NO_EXISTE/);
+});
+
+test('las notificaciones usan el texto editado en la hoja Plantillas', () => {
+  const env = createEnvironment({
+    sheets: {
+      Plantillas: [
+        PLANTILLAS_HEADERS,
+        ['USUARIO_INACTIVO', 'Baja de {{nombre}}', '{{nombre}} ({{grupo}}) quedó inactivo. -- Operaciones', '']
+      ]
+    }
+  });
+
+  env.gas.processInactiveUser({ name: 'Luis Pérez', email: 'luis@empresa.com', group: 'RH' });
+
+  assert.strictEqual(env.emails[0].subject, 'Baja de Luis Pérez');
+  assert.strictEqual(env.emails[0].body, 'Luis Pérez (RH) quedó inactivo. -- Operaciones');
+});
+
+test('una plantilla con HTML se envía como email HTML', () => {
+  const env = createEnvironment({
+    sheets: {
+      Plantillas: [PLANTILLAS_HEADERS, ['ROL_ADMIN', 'Nuevo admin', '', '<b>{{nombre}}</b> es Admin']]
+    }
+  });
+
+  env.gas.notifyRoleChange({ name: 'Ana López', email: 'ana@empresa.com', role: 'Admin', group: 'IT' });
+
+  assert.strictEqual(env.emails[0].options.htmlBody, '<b>Ana López</b> es Admin');
+});
+
+test('el reporte de inactivos genera una fila por usuario', () => {
+  const env = createEnvironment();
+
+  env.gas.enviarReporteInactivos([
+    { name: 'Luis Pérez', group: 'RH', days: 10 },
+    { name: 'Ana López', group: 'Finanzas', days: 12 }
+  ]);
+
+  const html = env.emails[0].options.htmlBody;
+  assert.match(html, /<strong>2<\/strong> usuarios sin actividad/);
+  assert.strictEqual((html.match(/<tr>\s*<td/g) || []).length, 2);
+  assert.match(html, /Ana López<\/td>\s*<td[^>]*>Finanzas<\/td>\s*<td[^>]*>12 días/);
+});
+
+test('el evento de onboarding toma título y descripción de la plantilla', () => {
+  const env = createEnvironment({
+    sheets: {
+      Plantillas: [PLANTILLAS_HEADERS, ['ONBOARDING_EVENTO', 'Bienvenida {{nombre}}', 'Grupo {{grupo}}', '']]
+    }
+  });
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.processNewUser({ name: 'Pedro Ramírez', email: 'pedro@empresa.com', role: 'Viewer', group: 'RH' }, 4);
+
+  assert.strictEqual(env.calendar.events[0].getTitle(), 'Bienvenida Pedro Ramírez');
+  assert.strictEqual(env.calendar.events[0].getDescription(), 'Grupo RH');
+});
+
+test('previewPlantilla renderiza con datos de ejemplo', () => {
+  const env = createEnvironment();
+
+  const preview = env.gas.previewPlantilla('REPORTE_INACTIVOS');
+
+  assert.match(preview.htmlBody, /Luis Pérez/);
+  assert.ok(env.logs.some(line => line.startsWith('Asunto: 📊 Reporte Diario')));
+});
+
+test('crearHojaPlantillas agrega solo las claves que faltan', () => {
+  const env = createEnvironment();
+
+  const agregadas = env.gas.crearHojaPlantillas();
+  env.sheet('Plantillas').getRange(2, 2).setValue('Asunto editado');
+  const segunda = env.gas.crearHojaPlantillas();
+
+  assert.ok(agregadas.includes('USUARIO_AGREGADO'));
+  assert.deepStrictEqual(segunda, []);
+  assert.strictEqual(env.gas.getTemplate(agregadas[0]).asunto, 'Asunto editado');
+});
+
+const HOSTIL = '<img src=x onerror="alert(1)">';
+
+test('escapeHtml neutraliza caracteres especiales', () => {
+  const { gas } = createEnvironment();
+
+  assert.strictEqual(
+    gas.escapeHtml(`${HOSTIL} & 'x'`),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;x&#39;'
+  );
+});
+
+test('renderTemplate escapa valores en HTML salvo {{{ }}} y trustedHtml', () => {
+  const { gas } = createEnvironment();
+  const data = { nombre: HOSTIL, extra: gas.trustedHtml('<b>ok</b>') };
+
+  assert.strictEqual(gas.renderTemplate('<p>{{nombre}}</p>', data, true), `<p>${gas.escapeHtml(HOSTIL)}</p>`);
+  assert.strictEqual(gas.renderTemplate('{{{nombre}}}', data, true), HOSTIL);
+  assert.strictEqual(gas.renderTemplate('{{extra}}', data, true), '<b>ok</b>');
+  assert.strictEqual(gas.renderTemplate('{{nombre}}', data), HOSTIL, 'texto plano sin escapar');
+});
+
+test('processNewUser no inyecta HTML de los datos del usuario', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: 'https://chat.googleapis.com/v1/spaces/AAA/messages', canalUsuarioAgregado: 'ambos' }
+  });
+  env.sheet('Usuarios').appendRow([HOSTIL, 'x@empresa.com', '<script>x</script>', '"><b>RH', true]);
+
+  env.gas.processNewUser({ name: HOSTIL, email: 'x@empresa.com', role: '<script>x</script>', group: '"><b>RH' }, 4);
+
+  const html = env.emails[0].options.htmlBody;
+  assert.ok(!html.includes('<img'), 'sin etiqueta img');
+  assert.ok(!html.includes('<script>'), 'sin etiqueta script');
+  assert.ok(!html.includes('"><b>'), 'sin cierre de atributo');
+  assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+
+  const widgets = JSON.parse(env.http.requests[0].payload).cardsV2[0].card.sections[0].widgets;
+  assert.ok(widgets.every(w => !/<(img|script|b)/.test(w.decoratedText.text)));
+});
+
+test('el reporte de inactivos escapa nombres y grupos', () => {
+  const env = createEnvironment();
+
+  env.gas.enviarReporteInactivos([{ name: HOSTIL, group: '<i>RH</i>', days: 10 }]);
+
+  const html = env.emails[0].options.htmlBody;
+  assert.ok(!html.includes('<img'));
+  assert.ok(html.includes('&lt;i&gt;RH&lt;/i&gt;'));
+});
+
+test('una plantilla de la hoja puede insertar HTML de confianza con {{{ }}}', () => {
+  const env = createEnvironment({
+    sheets: {
+      Plantillas: [PLANTILLAS_HEADERS, ['ROL_ADMIN', 'Admin', '', '{{{firma}}} {{nombre}}']]
+    }
+  });
+
+  const message = env.gas.renderNotification('ROL_ADMIN', {
+    nombre: HOSTIL,
+    firma: env.gas.trustedHtml('<hr>')
+  });
+
+  assert.strictEqual(message.htmlBody, `<hr> ${env.gas.escapeHtml(HOSTIL)}`);
+});
+
+test('los valores insertados no se vuelven a interpretar como marcadores', () => {
+  const env = createEnvironment();
+
+  env.gas.enviarReporteInactivos([
+    { name: HOSTIL, group: 'RH', days: 10 },
+    { name: '{{{usuarios.0.nombre}}}', group: '{{total}}', days: 12 }
+  ]);
+
+  const html = env.emails[0].options.htmlBody;
+  assert.ok(!html.includes('<img'), 'sin etiqueta img');
+  assert.ok(html.includes('{{{usuarios.0.nombre}}}'), 'el nombre se muestra literal');
+  assert.ok(html.includes('{{total}}'));
+
+  const resumen = env.gas.renderNotification('RESUMEN_NOTIFICACIONES', {
+    total: 2,
+    hostil: HOSTIL,
+    eventos: [
+      { evento: 'USUARIO_AGREGADO', usuario: HOSTIL, resumen: '' },
+      { evento: 'USUARIO_AGREGADO', usuario: '{{{eventos.0.usuario}}}', resumen: '{{{hostil}}}' }
+    ]
+  });
+  assert.ok(!resumen.htmlBody.includes('<img'));
+  assert.ok(resumen.htmlBody.includes('{{{hostil}}}'));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents, daysAgo } = require('./helpers/gas');
+
+/**
+ * Luis (fila 3) desactivado hace tiempo y reactivado por un admin.
+ */
+function reactivarLuis(env, extra) {
+  const usuarios = env.sheet('Usuarios');
+  usuarios.getRange(3, 5).setValue(false);
+  usuarios.getRange(3, 7).setValue(daysAgo(40));
+  usuarios.getRange(3, 5).setValue(true);
+
+  const e = editEvent(env, 'Usuarios', 3, 5, Object.assign({ value: 'TRUE', oldValue: 'FALSE' }, extra));
+  e.user = { getEmail: () => 'jefa.rh@empresa.com' };
+  env.gas.handleUserEdit(e);
+}
+
+test('reactivar reinicia el último acceso, notifica y registra quién lo hizo', () => {
+  const env = createEnvironment();
+
+  reactivarLuis(env);
+
+  const ultimoAcceso = env.sheet('Usuarios').getRange(3, 7).getValue();
+  assert.ok(Date.now() - ultimoAcceso.getTime() < 60 * 1000);
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '🔄 Usuario reactivado');
+  assert.ok(env.emails[0].body.includes('reactivado por jefa.rh@empresa.com'));
+
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[1], 'USUARIO_REACTIVADO');
+  assert.strictEqual(registro[2], 'luis.perez@empresa.com');
+  assert.strictEqual(registro[3], 'Luis Pérez: reactivado por jefa.rh@empresa.com');
+  assert.strictEqual(registro[5], 'Email enviado');
+  assert.strictEqual(env.calendar.events.length, 0);
+});
+
+test('la verificación diaria ya no desactiva al usuario reactivado', () => {
+  const env = createEnvironment();
+  reactivarLuis(env);
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(3, 5).getValue(), true);
+});
+
+test('reonboardingAlReactivar agenda una nueva sesión', () => {
+  const env = createEnvironment({ config: { reonboardingAlReactivar: true } });
+
+  reactivarLuis(env);
+
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.deepStrictEqual(env.calendar.events[0].guests, ['luis.perez@empresa.com']);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado y evento creado');
+});
+
+test('sin valor anterior (pegado de varias celdas) no se considera reactivación', () => {
+  const env = createEnvironment();
+
+  reactivarLuis(env, { oldValue: undefined });
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(loggedEvents(env).length, 0);
+});
+
+test('los destinatarios de la reactivación se configuran por evento', () => {
+  const env = createEnvironment({ config: { destinatariosUsuarioReactivado: 'notificacion, usuario' } });
+
+  reactivarLuis(env);
+
+  assert.strictEqual(env.emails[0].to, 'admin@empresa.com,luis.perez@empresa.com');
+});
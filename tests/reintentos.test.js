@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const MINUTE_MS = 60 * 1000;
+
+const pedro = { name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Viewer', group: 'RH' };
+
+function operaciones(env) {
+  return env.sheet('OperacionesPendientes').getDataRange().getValues().slice(1);
+}
+
+/**
+ * Adelanta el próximo intento de todas las operaciones para que venzan ya.
+ */
+function vencerOperaciones(env) {
+  const sheet = env.sheet('OperacionesPendientes');
+  for (let fila = 2; fila <= sheet.getLastRow(); fila++) {
+    sheet.getRange(fila, 7).setValue(new Date(Date.now() - MINUTE_MS));
+  }
+}
+
+test('un email fallido se guarda en OperacionesPendientes y el registro lo indica', () => {
+  const env = createEnvironment();
+  env.services.GmailApp.failures = 1;
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.emails.length, 0);
+  const [op] = operaciones(env);
+  assert.strictEqual(op[1], 'EMAIL');
+  assert.strictEqual(op[4], 1);
+  assert.match(op[5], /too many times/);
+  assert.strictEqual(op[7], 'PENDIENTE');
+  assert.strictEqual(op[8], 1, 'vinculada a la secuencia del evento');
+  assert.match(op[10], /^uuid-/, 'identificada por un ID propio');
+
+  const minutos = (op[6] - op[0]) / MINUTE_MS;
+  assert.strictEqual(Math.round(minutos), 15);
+
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email en reintento');
+});
+
+test('el reintento exitoso envía el email y registra el resultado sin modificar el evento original', () => {
+  const env = createEnvironment();
+  env.services.GmailApp.failures = 1;
+  env.gas.processInactiveUser(pedro);
+  vencerOperaciones(env);
+
+  const resultado = env.gas.reintentarOperacionesPendientes();
+
+  assert.deepStrictEqual(resultado, { completadas: 1, fallidas: 0, pendientes: 0 });
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '⚠️ Usuario inactivo detectado');
+  assert.strictEqual(operaciones(env)[0][7], 'COMPLETADA');
+
+  const [original, resultadoRegistro] = loggedEvents(env);
+  assert.strictEqual(original[5], 'Email en reintento');
+  assert.strictEqual(resultadoRegistro[1], 'REINTENTO_RESUELTO');
+  assert.strictEqual(resultadoRegistro[2], original[2]);
+  assert.strictEqual(resultadoRegistro[3],
+    `Resultado del evento #1 (USUARIO_INACTIVO del ${original[0].toLocaleString('es-MX')}): Email enviado (intento 2)`);
+  assert.strictEqual(resultadoRegistro[4], 'OK');
+  assert.strictEqual(resultadoRegistro[5], 'Email enviado (intento 2)');
+});
+
+test('la vinculación con el registro usa el ID y no la última fila', () => {
+  const env = createEnvironment();
+  const id = env.gas.registrarOperacionFallida('EMAIL', 'primera', { recipients: {} }, new Error('x'));
+  env.gas.registrarOperacionFallida('EMAIL', 'concurrente', { recipients: {} }, new Error('y'));
+
+  env.gas.vincularOperacionesRegistro([id], 7);
+
+  assert.deepStrictEqual(operaciones(env).map(op => [op[2], op[8]]), [['primera', 7], ['concurrente', '']]);
+});
+
+test('una fila con datos dañados se marca FALLIDA sin detener las demás', () => {
+  const env = createEnvironment();
+  env.services.GmailApp.failures = 2;
+  env.gas.processInactiveUser(pedro);
+  env.gas.processInactiveUser(Object.assign({}, pedro, { name: 'Luis Pérez' }));
+  env.sheet('OperacionesPendientes').getRange(2, 4).setValue('{"recipients": ');
+  vencerOperaciones(env);
+
+  const resultado = env.gas.reintentarOperacionesPendientes();
+
+  assert.deepStrictEqual(resultado, { completadas: 1, fallidas: 1, pendientes: 0 });
+  const [danada, valida] = operaciones(env);
+  assert.strictEqual(danada[7], 'FALLIDA');
+  assert.match(danada[5], /^Datos no válidos: /);
+  assert.strictEqual(valida[7], 'COMPLETADA');
+  assert.strictEqual(env.emails.length, 1);
+});
+
+test('el resultado indica si el evento original ya no está en el registro', () => {
+  const env = createEnvironment();
+
+  env.gas.registrarResultadoOperacion(9, 'EMAIL', 'COMPLETADA', 2);
+  env.gas.registrarResultadoOperacion('', 'EMAIL', 'FALLIDA', 5);
+
+  assert.deepStrictEqual(loggedEvents(env).map(evento => evento[3]), [
+    'Resultado del evento #9 (ya no está en RegistroDeEventos): Email enviado (intento 2)',
+    'Operación sin evento vinculado: Email fallido tras 5 intentos'
+  ]);
+});
+
+test('no reintenta antes de tiempo', () => {
+  const env = createEnvironment();
+  env.services.GmailApp.failures = 1;
+  env.gas.processInactiveUser(pedro);
+
+  const resultado = env.gas.reintentarOperacionesPendientes();
+
+  assert.deepStrictEqual(resultado, { completadas: 0, fallidas: 0, pendientes: 1 });
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(operaciones(env)[0][4], 1);
+});
+
+test('la espera crece exponencialmente y se marca FALLIDA al agotar los intentos', () => {
+  const env = createEnvironment({ config: { reintentosMaximos: 3, intervaloReintentosMin: 5 } });
+  env.services.GmailApp.failures = 10;
+  env.gas.processInactiveUser(pedro);
+
+  vencerOperaciones(env);
+  env.gas.reintentarOperacionesPendientes();
+  const op = operaciones(env)[0];
+  assert.strictEqual(op[4], 2);
+  assert.strictEqual(Math.round((op[6] - op[9]) / MINUTE_MS), 10, 'segundo intento: 5 * 2 min');
+
+  vencerOperaciones(env);
+  const resultado = env.gas.reintentarOperacionesPendientes();
+
+  assert.deepStrictEqual(resultado, { completadas: 0, fallidas: 1, pendientes: 0 });
+  assert.strictEqual(operaciones(env)[0][7], 'FALLIDA');
+
+  const eventos = loggedEvents(env);
+  const fallo = eventos.find(evento => evento[1] === 'REINTENTO_RESUELTO');
+  assert.strictEqual(fallo[4], 'ERROR');
+  assert.strictEqual(fallo[5], 'Email fallido tras 3 intentos');
+  assert.strictEqual(eventos[eventos.length - 1][1], 'REINTENTOS');
+});
+
+test('un evento de Calendar fallido se reintenta con sus datos', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+  env.calendar.failures = 1;
+
+  env.gas.processNewUser(pedro, 4);
+
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado y evento en reintento');
+
+  vencerOperaciones(env);
+  env.gas.reintentarOperacionesPendientes();
+
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.strictEqual(env.calendar.events[0].title, '🎯 Onboarding: Pedro Ramírez');
+  assert.match(loggedEvents(env)[1][3], /^Resultado del evento #1 \(USUARIO_AGREGADO del .+\): evento creado \(intento 2\)$/);
+});
+
+test('el onboarding en reintento de un usuario desactivado o eliminado se cancela sin crear el evento', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+  usuarios.appendRow(['Marta Díaz', 'marta.diaz@empresa.com', 'Viewer', 'RH', true]);
+  env.calendar.failures = 2;
+
+  env.gas.processNewUser(pedro, 4);
+  env.gas.processNewUser({ name: 'Marta Díaz', email: 'marta.diaz@empresa.com', role: 'Viewer', group: 'RH' }, 5);
+  usuarios.getRange(4, 5).setValue(false);
+  usuarios.deleteRows(5, 1);
+
+  vencerOperaciones(env);
+  env.gas.reintentarOperacionesPendientes();
+
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.deepStrictEqual(operaciones(env).map(row => row[7]), ['CANCELADA', 'CANCELADA']);
+  assert.strictEqual(usuarios.getRange(4, 8).getValue(), 'Pendiente');
+  const resultados = loggedEvents(env).filter(row => row[1] === 'REINTENTO_RESUELTO');
+  assert.deepStrictEqual(resultados.map(row => [row[4], row[5]]), [
+    ['WARNING', 'evento cancelado: el usuario fue desactivado o eliminado'],
+    ['WARNING', 'evento cancelado: el usuario fue desactivado o eliminado']
+  ]);
+});
+
+test('sin envío por configuración no se encola nada', () => {
+  const env = createEnvironment({ config: { notificarAdmins: false } });
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.spreadsheet.getSheetByName('OperacionesPendientes'), null);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email no enviado');
+});
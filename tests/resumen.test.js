@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, loggedEvents } = require('./helpers/gas');
+
+const WEBHOOK = 'https://chat.googleapis.com/v1/spaces/AAA/messages?key=k&token=t';
+
+const pedro = { name: 'Pedro Ramírez', email: 'pedro.ramirez@empresa.com', role: 'Viewer', group: 'RH' };
+const marta = { name: 'Marta <b>Díaz</b>', email: 'marta.diaz@empresa.com', role: 'Editor', group: 'IT' };
+
+function cola(env) {
+  return env.sheet('ColaNotificaciones').getDataRange().getValues().slice(1);
+}
+
+test('en modo resumen los eventos se encolan en lugar de enviarse', () => {
+  const env = createEnvironment({ config: { modoUsuarioInactivo: 'resumen' } });
+
+  env.gas.processInactiveUser(pedro);
+
+  assert.strictEqual(env.emails.length, 0);
+  const filas = cola(env);
+  assert.strictEqual(filas.length, 1);
+  assert.strictEqual(filas[0][1], 'USUARIO_INACTIVO');
+  assert.strictEqual(filas[0][2], 'pedro.ramirez@empresa.com');
+  assert.deepStrictEqual(JSON.parse(filas[0][4]).to, ['admin@empresa.com']);
+  assert.strictEqual(filas[0][6], 'PENDIENTE');
+  assert.strictEqual(loggedEvents(env)[0][5], 'En cola para resumen');
+});
+
+test('enviarResumenNotificaciones envía un solo email con todos los eventos', () => {
+  const env = createEnvironment({
+    config: { modoUsuarioInactivo: 'resumen', modoUsuarioAgregado: 'resumen' }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.gas.processInactiveUser(marta);
+
+  const enviados = env.gas.enviarResumenNotificaciones();
+
+  assert.strictEqual(enviados, 2);
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '📬 Resumen de notificaciones - 2 eventos');
+  const html = env.emails[0].options.htmlBody;
+  assert.ok(html.includes('Pedro Ramírez (pedro.ramirez@empresa.com) marcado como inactivo'));
+  assert.ok(html.includes('Marta &lt;b&gt;Díaz&lt;/b&gt;'), 'los datos del usuario se escapan');
+  assert.strictEqual(cola(env).length, 0, 'las filas enviadas se eliminan de la cola');
+
+  // Una segunda ejecución no reenvía lo ya enviado
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 0);
+  assert.strictEqual(env.emails.length, 1);
+});
+
+test('el resumen agrupa por destinatarios', () => {
+  const env = createEnvironment({
+    config: {
+      modoUsuarioInactivo: 'resumen',
+      modoUsuarioAgregado: 'resumen',
+      destinatariosUsuarioAgregado: 'rh@empresa.com'
+    }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.gas.notifyEvent('USUARIO_AGREGADO', { user: marta, subject: 'Nuevo', summary: 'Marta agregada' });
+
+  env.gas.enviarResumenNotificaciones();
+
+  assert.deepStrictEqual(env.emails.map(e => e.to).sort(), ['admin@empresa.com', 'rh@empresa.com']);
+  assert.ok(env.emails.every(e => e.subject.endsWith('1 eventos')));
+});
+
+test('los eventos de Chat se envían en un solo mensaje', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalUsuarioInactivo: 'chat', modoUsuarioInactivo: 'resumen' }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.gas.processInactiveUser(marta);
+  assert.strictEqual(env.http.requests.length, 0);
+
+  env.gas.enviarResumenNotificaciones();
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(env.http.requests.length, 1);
+  const card = JSON.parse(env.http.requests[0].payload).cardsV2[0].card;
+  assert.strictEqual(card.sections[0].widgets.length, 2);
+});
+
+test('si falla el envío los eventos quedan pendientes', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalUsuarioInactivo: 'chat', modoUsuarioInactivo: 'resumen' }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.http.respond = () => ({ code: 500, body: 'error' });
+
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 0);
+
+  assert.strictEqual(cola(env)[0][6], 'PENDIENTE');
+  const registro = loggedEvents(env).find(fila => fila[1] === 'RESUMEN_ENVIADO');
+  assert.strictEqual(registro[4], 'WARNING');
+});
+
+test('solo se eliminan de la cola las filas enviadas', () => {
+  const env = createEnvironment({
+    config: {
+      chatWebhookUrl: WEBHOOK,
+      modoUsuarioInactivo: 'resumen',
+      canalUsuarioAgregado: 'chat',
+      modoUsuarioAgregado: 'resumen'
+    }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.gas.notifyEvent('USUARIO_AGREGADO', { user: marta, subject: 'Nuevo', summary: 'Marta agregada' });
+  env.gas.processInactiveUser(marta);
+  env.http.respond = () => ({ code: 500, body: 'error' });
+
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 2);
+
+  assert.deepStrictEqual(cola(env).map(fila => [fila[3], fila[6]]), [['Marta agregada', 'PENDIENTE']]);
+});
+
+test('si se envían todas las filas de una hoja sin filas libres la primera se vacía', () => {
+  const env = createEnvironment({ config: { modoUsuarioInactivo: 'resumen' } });
+  env.gas.processInactiveUser(pedro);
+  env.gas.processInactiveUser(marta);
+  const sheet = env.sheet('ColaNotificaciones');
+  sheet.getMaxRows = () => 3;
+
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 2);
+
+  assert.strictEqual(sheet.getLastRow(), 1);
+  env.gas.processInactiveUser(pedro);
+  assert.strictEqual(cola(env)[0][2], 'pedro.ramirez@empresa.com');
+});
+
+test('si falla solo Chat el próximo resumen no repite el email', () => {
+  const env = createEnvironment({
+    config: { chatWebhookUrl: WEBHOOK, canalUsuarioInactivo: 'ambos', modoUsuarioInactivo: 'resumen' }
+  });
+  env.gas.processInactiveUser(pedro);
+  env.http.respond = () => ({ code: 500, body: 'error' });
+
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 0);
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 0);
+
+  assert.strictEqual(env.emails.length, 1, 'el email se envía una sola vez');
+  assert.strictEqual(env.http.requests.length, 2, 'Chat se reintenta');
+  const [fila] = cola(env);
+  assert.deepStrictEqual([fila[4], fila[5], fila[6]], ['', true, 'PENDIENTE']);
+
+  env.http.respond = () => ({ code: 200, body: '{}' });
+  assert.strictEqual(env.gas.enviarResumenNotificaciones(), 1);
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(cola(env).length, 0);
+});
+
+test('la promoción a Admin es crítica y se envía de inmediato', () => {
+  const env = createEnvironment({ config: { modoRolModificado: 'resumen' } });
+
+  env.gas.notifyRoleChange(Object.assign({}, pedro, { role: 'Admin' }));
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.spreadsheet.getSheetByName('ColaNotificaciones'), null);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Email enviado');
+});
+
+test('modo acepta solo inmediato o resumen', () => {
+  const env = createEnvironment({ config: { modoUsuarioInactivo: 'semanal' } });
+
+  const errores = env.gas.validarConfiguracion();
+
+  assert.ok(errores.some(e => e.includes('modoUsuarioInactivo')));
+});
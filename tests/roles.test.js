@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents, daysAgo } = require('./helpers/gas');
+
+/**
+ * Cambia el rol de la fila indicada como lo haría un usuario en la hoja.
+ */
+function cambiarRol(env, row, anterior, nuevo) {
+  env.sheet('Usuarios').getRange(row, 3).setValue(nuevo);
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', row, 3, { value: nuevo, oldValue: anterior }));
+}
+
+test('clasificarCambioRol distingue promociones, degradaciones y roles fuera de la jerarquía', () => {
+  const env = createEnvironment();
+  const jerarquia = ['Viewer', 'Editor', 'Admin'];
+
+  assert.strictEqual(env.gas.clasificarCambioRol('Viewer', 'Editor', jerarquia), 'PROMOCION');
+  assert.strictEqual(env.gas.clasificarCambioRol('admin', 'Viewer', jerarquia), 'DEGRADACION');
+  assert.strictEqual(env.gas.clasificarCambioRol('Editor', 'Auditor', jerarquia), 'LATERAL');
+  assert.strictEqual(env.gas.clasificarCambioRol('', 'Editor', jerarquia), 'DESCONOCIDO');
+  assert.strictEqual(env.gas.clasificarCambioRol('Editor', 'editor', jerarquia), 'SIN_CAMBIO');
+});
+
+test('el registro del cambio de rol incluye el valor anterior y la clasificación', () => {
+  const env = createEnvironment();
+
+  cambiarRol(env, 3, 'Viewer', 'Editor');
+
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[3], 'Luis Pérez: rol Viewer → Editor (promoción)');
+  assert.strictEqual(registro[4], 'OK');
+  assert.strictEqual(registro[5], 'Solo registro');
+  assert.strictEqual(env.emails.length, 0);
+});
+
+test('degradar a un Admin envía una alerta crítica', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['Marta Ruiz', 'marta.ruiz@empresa.com', 'Admin', 'IT', true, daysAgo(90), daysAgo(1)]);
+
+  cambiarRol(env, 2, 'Admin', 'Editor');
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '⚠️ Cambio de rol privilegiado: Ana López');
+  assert.ok(env.emails[0].body.includes('pasó de Admin a Editor (degradación)'));
+
+  const [registro] = loggedEvents(env);
+  assert.strictEqual(registro[3], 'Ana López: rol Admin → Editor (degradación)');
+  assert.strictEqual(registro[4], 'WARNING');
+});
+
+test('quitar el rol al último Admin activo envía la alerta SIN_ADMINS', () => {
+  const env = createEnvironment();
+
+  cambiarRol(env, 2, 'Admin', 'Editor');
+
+  assert.deepStrictEqual(env.emails.map(email => email.subject), [
+    '⚠️ Cambio de rol privilegiado: Ana López',
+    '🚨 No quedan administradores activos'
+  ]);
+
+  const eventos = loggedEvents(env);
+  assert.strictEqual(eventos[1][1], 'SIN_ADMINS');
+  assert.strictEqual(eventos[1][3], 'Ana López era el último Admin activo: su rol cambió a Editor');
+  assert.strictEqual(eventos[1][4], 'ALERTA');
+});
+
+test('un Admin escrito en minúsculas cuenta como Admin activo', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').getRange(3, 3).setValue('admin');
+
+  cambiarRol(env, 2, 'Admin', 'Editor');
+
+  assert.ok(!loggedEvents(env).some(evento => evento[1] === 'SIN_ADMINS'));
+  assert.strictEqual(env.gas.contarAdminsActivos(), 1);
+});
+
+test('desactivar al último Admin activo envía la alerta SIN_ADMINS', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.getRange(2, 3).setValue('Admin');
+  usuarios.getRange(2, 5).setValue(false);
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 5, { value: 'FALSE', oldValue: 'TRUE' }));
+
+  const sinAdmins = loggedEvents(env).find(evento => evento[1] === 'SIN_ADMINS');
+  assert.ok(sinAdmins);
+  assert.match(sinAdmins[3], /fue desactivado$/);
+});
+
+test('la desactivación automática del último Admin también alerta', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.getRange(3, 3).setValue('Admin');
+
+  env.gas.verificarUsuariosInactivos();
+
+  const sinAdmins = loggedEvents(env).find(evento => evento[1] === 'SIN_ADMINS');
+  assert.ok(sinAdmins);
+  assert.match(sinAdmins[3], /^Luis Pérez era el último Admin activo: fue desactivado por inactividad$/);
+});
+
+test('jerarquiaRoles y rolesPrivilegiados se leen como listas desde Configuración', () => {
+  const env = createEnvironment({
+    config: {
+      jerarquiaRoles: 'Viewer, Editor, Auditor, Admin',
+      rolesPrivilegiados: 'Auditor; Admin'
+    }
+  });
+
+  cambiarRol(env, 2, 'Editor', 'Auditor');
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '⚠️ Cambio de rol privilegiado: Ana López');
+  assert.strictEqual(loggedEvents(env)[0][3], 'Ana López: rol Editor → Auditor (promoción)');
+});
+
+/**
+ * Usuarios con la columna opcional Rol Expira; Marta es Admin permanente.
+ */
+function entornoRolesTemporales() {
+  return createEnvironment({
+    sheets: {
+      'Usuarios': [
+        ['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso', 'Rol Expira'],
+        ['Ana López', 'ana.lopez@empresa.com', 'Editor', 'Finanzas', true, daysAgo(30), daysAgo(1), ''],
+        ['Marta Ruiz', 'marta.ruiz@empresa.com', 'Admin', 'IT', true, daysAgo(90), daysAgo(1), '']
+      ]
+    }
+  });
+}
+
+test('con la columna Rol Expira el cambio de rol guarda el rol anterior', () => {
+  const env = entornoRolesTemporales();
+
+  cambiarRol(env, 2, 'Editor', 'Admin');
+
+  const usuarios = env.sheet('Usuarios');
+  assert.strictEqual(usuarios.getRange(1, 9).getValue(), 'Rol Anterior');
+  assert.strictEqual(usuarios.getRange(2, 9).getValue(), 'Editor');
+});
+
+test('revertirRolesExpirados devuelve el rol anterior, notifica y registra ROL_EXPIRADO', () => {
+  const env = entornoRolesTemporales();
+  cambiarRol(env, 2, 'Editor', 'Admin');
+  env.sheet('Usuarios').getRange(2, 8).setValue(daysAgo(1));
+  env.emails.length = 0;
+
+  assert.strictEqual(env.gas.revertirRolesExpirados(), 1);
+
+  const usuarios = env.sheet('Usuarios');
+  assert.strictEqual(usuarios.getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(usuarios.getRange(2, 8).getValue(), '');
+  assert.strictEqual(usuarios.getRange(2, 9).getValue(), '');
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].to, 'ana.lopez@empresa.com,admin@empresa.com');
+  assert.strictEqual(env.emails[0].subject, '⏱️ Rol temporal vencido: Ana López');
+
+  const registro = loggedEvents(env).pop();
+  assert.strictEqual(registro[1], 'ROL_EXPIRADO');
+  assert.match(registro[3], /^Ana López: rol Admin → Editor \(vencido el /);
+  assert.strictEqual(registro[5], 'Email enviado');
+});
+
+test('los roles temporales vigentes no se modifican', () => {
+  const env = entornoRolesTemporales();
+  cambiarRol(env, 2, 'Editor', 'Admin');
+  env.sheet('Usuarios').getRange(2, 8).setValue(new Date(Date.now() + 60 * 60 * 1000));
+
+  assert.strictEqual(env.gas.revertirRolesExpirados(), 0);
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 3).getValue(), 'Admin');
+});
+
+test('si el rol ya se bajó a mano, el vencimiento solo limpia la fecha', () => {
+  const env = entornoRolesTemporales();
+  cambiarRol(env, 2, 'Editor', 'Admin');
+  cambiarRol(env, 2, 'Admin', 'Editor');
+  env.sheet('Usuarios').getRange(2, 8).setValue(daysAgo(1));
+
+  assert.strictEqual(env.gas.revertirRolesExpirados(), 0);
+
+  const usuarios = env.sheet('Usuarios');
+  assert.strictEqual(usuarios.getRange(2, 3).getValue(), 'Editor');
+  assert.strictEqual(usuarios.getRange(2, 8).getValue(), '');
+});
+
+test('al vencer el rol del último Admin se envía la alerta SIN_ADMINS', () => {
+  const env = entornoRolesTemporales();
+  env.sheet('Usuarios').getRange(3, 3).setValue('Editor');
+  cambiarRol(env, 2, 'Editor', 'Admin');
+  env.sheet('Usuarios').getRange(2, 8).setValue(daysAgo(1));
+
+  env.gas.revertirRolesExpirados();
+
+  assert.strictEqual(loggedEvents(env).pop()[1], 'SIN_ADMINS');
+});
@@ -0,0 +1,384 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEnvironment, editEvent, loggedEvents, daysAgo } = require('./helpers/gas');
+
+test('handleUserEdit procesa una fila nueva completa', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true]);
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 5, { value: 'TRUE' }));
+
+  const row = usuarios.getRange(4, 1, 1, 7).getValues()[0];
+  assert.ok(row[5] instanceof Date, 'Fecha de registro escrita');
+  assert.ok(row[6] instanceof Date, 'Último acceso escrito');
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].to, 'admin@empresa.com');
+  assert.match(env.emails[0].options.htmlBody, /Pedro Ramírez/);
+
+  assert.strictEqual(env.calendar.events.length, 1);
+  assert.strictEqual(env.calendar.events[0].getTitle(), '🎯 Onboarding: Pedro Ramírez');
+
+  const events = loggedEvents(env);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0][1], 'USUARIO_AGREGADO');
+});
+
+test('handleUserEdit ignora filas incompletas', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').appendRow(['Pedro Ramírez', 'pedro.ramirez@empresa.com']);
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 2));
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.strictEqual(loggedEvents(env).length, 0);
+});
+
+test('handleUserEdit ignora la fila de encabezados', () => {
+  const env = createEnvironment();
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 1, 1));
+
+  assert.strictEqual(loggedEvents(env).length, 0);
+});
+
+test('handleUserEdit notifica cuando un usuario se desactiva', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.getRange(2, 5).setValue(false);
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 5, { value: 'FALSE', oldValue: 'TRUE' }));
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '⚠️ Usuario inactivo detectado');
+  assert.match(env.emails[0].body, /Ana López/);
+  assert.strictEqual(loggedEvents(env)[0][1], 'USUARIO_INACTIVO');
+});
+
+test('handleUserEdit alerta cuando un usuario es promovido a Admin', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').getRange(2, 3).setValue('Admin');
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 3, { value: 'Admin', oldValue: 'Editor' }));
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual(env.emails[0].subject, '⚠️ Cambio Crítico: Nuevo Administrador');
+  const events = loggedEvents(env);
+  assert.strictEqual(events[0][1], 'ROL_MODIFICADO');
+  assert.strictEqual(events[0][4], 'WARNING');
+});
+
+test('handleUserEdit solo registra cambios de rol que no son Admin', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').getRange(2, 3).setValue('Viewer');
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 3, { value: 'Viewer', oldValue: 'Editor' }));
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(loggedEvents(env)[0][5], 'Solo registro');
+});
+
+test('onEditInstalable registra un ERROR cuando el manejador falla', () => {
+  const env = createEnvironment();
+
+  env.gas.onEditInstalable({ range: { getSheet: () => { throw new Error('sin hoja'); } } });
+
+  const events = loggedEvents(env);
+  assert.strictEqual(events[0][1], 'ERROR');
+  assert.match(events[0][3], /sin hoja/);
+});
+
+test('verificarUsuariosInactivos desactiva usuarios sin acceso reciente y envía el reporte', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(usuarios.getRange(2, 5).getValue(), true, 'Ana sigue activa');
+  assert.strictEqual(usuarios.getRange(3, 5).getValue(), 'FALSE', 'Luis fue desactivado');
+
+  const events = loggedEvents(env);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0][1], 'USUARIO_INACTIVO');
+  assert.strictEqual(events[0][2], 'luis.perez@empresa.com');
+  assert.match(events[0][3], /^Luis Pérez: 10 días sin actividad$/);
+
+  assert.strictEqual(env.emails.length, 1);
+  assert.match(env.emails[0].subject, /Reporte Diario/);
+  assert.match(env.emails[0].options.htmlBody, /Luis Pérez/);
+});
+
+test('verificarUsuariosInactivos no envía reporte si no hay inactivos', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').getRange(3, 7).setValue(daysAgo(2));
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(loggedEvents(env).length, 0);
+});
+
+test('instalarTriggers crea los triggers de edición y de tiempo con la configuración', () => {
+  const env = createEnvironment({ config: { horaVerificacion: 6, intervaloResumenHoras: 2 } });
+
+  const reporte = env.gas.instalarTriggers();
+
+  assert.deepStrictEqual(
+    env.triggers.map(t => [t.getHandlerFunction(), t.getEventType()]),
+    [
+      ['onEditInstalable', 'ON_EDIT'],
+      ['onChangeInstalable', 'ON_CHANGE'],
+      ['verificarUsuariosInactivos', 'CLOCK'],
+      ['revertirRolesExpirados', 'CLOCK'],
+      ['enviarResumenNotificaciones', 'CLOCK'],
+      ['reintentarOperacionesPendientes', 'CLOCK'],
+      ['actualizarEstadosOnboarding', 'CLOCK'],
+      ['expirarAprobacionesPendientes', 'CLOCK'],
+      ['verifyAuditLog', 'CLOCK'],
+      ['archivarRegistroEventos', 'CLOCK'],
+      ['actualizarPanel', 'CLOCK']
+    ]
+  );
+  assert.strictEqual(env.triggers[2].schedule.atHour, 6);
+  assert.strictEqual(env.triggers[3].schedule.everyHours, 1);
+  assert.strictEqual(env.triggers[4].schedule.everyHours, 2);
+  assert.strictEqual(env.triggers[5].schedule.everyMinutes, 15);
+  assert.strictEqual(env.triggers[7].schedule.everyHours, 1);
+  assert.strictEqual(env.triggers[8].schedule.atHour, 6);
+  assert.deepStrictEqual(env.triggers[9].schedule, { onMonthDay: 1, atHour: 6 });
+  assert.strictEqual(env.triggers[10].schedule.everyHours, 1);
+  assert.deepStrictEqual(reporte.map(r => r.estado), ['creado', 'creado', 'creado', 'creado', 'creado', 'creado', 'creado', 'creado', 'creado', 'creado', 'creado']);
+  assert.strictEqual(loggedEvents(env)[0][1], 'TRIGGERS_INSTALADOS');
+});
+
+test('instalarTriggers es idempotente', () => {
+  const env = createEnvironment();
+  env.gas.instalarTriggers();
+  const ids = env.triggers.map(t => t.getUniqueId());
+
+  const reporte = env.gas.instalarTriggers();
+
+  assert.deepStrictEqual(env.triggers.map(t => t.getUniqueId()), ids);
+  assert.deepStrictEqual(reporte.map(r => r.estado), ['sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios', 'sin cambios']);
+  assert.strictEqual(env.triggers[2].schedule.atHour, 8, 'hora por defecto');
+});
+
+test('instalarTriggers elimina duplicados y el onEdit obsoleto', () => {
+  const env = createEnvironment();
+  env.gas.instalarTriggers();
+  const { ScriptApp } = env.services;
+  ScriptApp.newTrigger('onEditInstalable').forSpreadsheet(env.spreadsheet).onEdit().create();
+  ScriptApp.newTrigger('onEdit').forSpreadsheet(env.spreadsheet).onEdit().create();
+
+  const reporte = env.gas.instalarTriggers();
+
+  assert.deepStrictEqual(
+    env.triggers.map(t => t.getHandlerFunction()),
+    ['onEditInstalable', 'onChangeInstalable', 'verificarUsuariosInactivos', 'revertirRolesExpirados', 'enviarResumenNotificaciones',
+      'reintentarOperacionesPendientes', 'actualizarEstadosOnboarding', 'expirarAprobacionesPendientes', 'verifyAuditLog',
+      'archivarRegistroEventos', 'actualizarPanel']
+  );
+  assert.strictEqual(reporte[0].estado, 'obsoleto eliminado');
+  assert.strictEqual(reporte[1].duplicados, 1);
+});
+
+test('instalarTriggers reinstala el trigger diario si cambia la hora', () => {
+  const env = createEnvironment();
+  env.gas.instalarTriggers();
+  env.sheet('Configuración').appendRow(['horaVerificacion', 9]);
+
+  const reporte = env.gas.instalarTriggers();
+
+  assert.strictEqual(reporte[2].estado, 'reinstalado');
+  assert.strictEqual(reporte[3].estado, 'sin cambios');
+  assert.strictEqual(env.triggers.length, 11);
+  assert.strictEqual(env.triggers.find(t => t.getHandlerFunction() === 'verificarUsuariosInactivos').schedule.atHour, 9);
+});
+
+test('desinstalarTriggers elimina solo los triggers del sistema', () => {
+  const env = createEnvironment();
+  env.gas.instalarTriggers();
+  env.services.ScriptApp.newTrigger('otraFuncion').timeBased().everyHours(1).create();
+
+  const eliminados = env.gas.desinstalarTriggers();
+
+  assert.strictEqual(eliminados, 11);
+  assert.deepStrictEqual(env.triggers.map(t => t.getHandlerFunction()), ['otraFuncion']);
+  assert.deepStrictEqual(env.properties.getKeys().filter(key => key.startsWith('TRIGGER_')), []);
+});
+
+test('handleUserEdit usa el esquema de encabezados con columnas extra', () => {
+  const env = createEnvironment({
+    sheets: {
+      Usuarios: [
+        ['Departamento', 'Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso'],
+        ['Ventas', 'Pedro Ramírez', 'pedro.ramirez@empresa.com', 'Viewer', 'RH', true, '', '']
+      ]
+    }
+  });
+  const usuarios = env.sheet('Usuarios');
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 5));
+
+  assert.ok(usuarios.getRange(2, 7).getValue() instanceof Date, 'Fecha Registro en la columna G');
+  assert.ok(usuarios.getRange(2, 8).getValue() instanceof Date, 'Último Acceso en la columna H');
+  assert.strictEqual(usuarios.getRange(2, 1).getValue(), 'Ventas', 'columna extra intacta');
+
+  // Editar la columna extra no dispara ningún proceso
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 2, 1));
+  assert.strictEqual(loggedEvents(env).length, 1);
+});
+
+test('verificarUsuariosInactivos desactiva usando la columna Activo del esquema', () => {
+  const env = createEnvironment({
+    sheets: {
+      Usuarios: [
+        ['Activo', 'Nombre', 'Email', 'Rol', 'Grupo', 'Fecha Registro', 'Último Acceso'],
+        [true, 'Luis Pérez', 'luis.perez@empresa.com', 'Viewer', 'RH', daysAgo(60), daysAgo(10)]
+      ]
+    }
+  });
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(2, 1).getValue(), 'FALSE');
+});
+
+test('verificarUsuariosInactivos usa el umbral diasInactividad de Configuración', () => {
+  const env = createEnvironment({ config: { diasInactividad: 15 } });
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.strictEqual(env.sheet('Usuarios').getRange(3, 5).getValue(), true, 'Luis (10 días) sigue activo');
+  assert.strictEqual(env.emails.length, 0);
+});
+
+function hojaGrande(total, diasSinAcceso) {
+  const rows = [['Nombre', 'Email', 'Rol', 'Grupo', 'Activo', 'Fecha Registro', 'Último Acceso']];
+  for (let i = 1; i <= total; i++) {
+    rows.push([`Usuario ${i}`, `usuario${i}@empresa.com`, 'Viewer', 'IT', true, daysAgo(90), daysAgo(diasSinAcceso(i))]);
+  }
+  return rows;
+}
+
+function contarAccesos(sheet) {
+  const calls = { reads: 0, writes: 0 };
+  const getDataRange = sheet.getDataRange.bind(sheet);
+  sheet.getDataRange = () => {
+    calls.reads++;
+    return getDataRange();
+  };
+  const getRange = sheet.getRange.bind(sheet);
+  sheet.getRange = (...args) => {
+    const range = getRange(...args);
+    const setValues = range.setValues.bind(range);
+    const setValue = range.setValue.bind(range);
+    range.setValues = values => { calls.writes++; return setValues(values); };
+    range.setValue = value => { calls.writes++; return setValue(value); };
+    return range;
+  };
+  return calls;
+}
+
+test('verificarUsuariosInactivos hace una lectura y una escritura por ejecución', () => {
+  const env = createEnvironment({ sheets: { Usuarios: hojaGrande(50, i => (i % 2 ? 30 : 1)) } });
+  const calls = contarAccesos(env.sheet('Usuarios'));
+
+  env.gas.verificarUsuariosInactivos();
+
+  assert.deepStrictEqual(calls, { reads: 1, writes: 1 });
+  const activos = env.sheet('Usuarios').getRange(2, 5, 50, 1).getValues().map(r => r[0]);
+  assert.strictEqual(activos.filter(v => v === 'FALSE').length, 25);
+  assert.strictEqual(activos[1], true, 'las filas sin cambios conservan su valor');
+  assert.strictEqual(loggedEvents(env).length, 25);
+  assert.strictEqual(env.emails.length, 1);
+});
+
+test('verificarUsuariosInactivos continúa por lotes con checkpoint', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: hojaGrande(5, () => 30) },
+    config: { usuariosPorEjecucion: 2 }
+  });
+
+  env.gas.verificarUsuariosInactivos();
+
+  const checkpoint = JSON.parse(env.properties.getProperty('VERIFICACION_CHECKPOINT'));
+  assert.strictEqual(checkpoint.email, 'usuario2@empresa.com');
+  assert.strictEqual(checkpoint.inactivos.length, 2);
+  assert.deepStrictEqual(env.triggers.map(t => t.getHandlerFunction()), ['continuarVerificacionInactivos']);
+  assert.strictEqual(env.emails.length, 0, 'el reporte espera al final');
+
+  env.gas.continuarVerificacionInactivos();
+  assert.strictEqual(env.triggers.length, 1, 'el trigger anterior se reemplaza');
+
+  env.gas.continuarVerificacionInactivos();
+
+  assert.strictEqual(env.properties.getProperty('VERIFICACION_CHECKPOINT'), null);
+  assert.strictEqual(env.triggers.length, 0);
+  assert.strictEqual(loggedEvents(env).length, 5);
+  assert.strictEqual(env.emails.length, 1);
+  assert.strictEqual((env.emails[0].options.htmlBody.match(/días<\/td>/g) || []).length, 5);
+});
+
+test('el checkpoint se reubica por email si se insertan filas', () => {
+  const env = createEnvironment({
+    sheets: { Usuarios: hojaGrande(4, () => 30) },
+    config: { usuariosPorEjecucion: 2 }
+  });
+  env.gas.verificarUsuariosInactivos();
+
+  // Se inserta una fila al inicio: usuario2 pasa de la fila 3 a la 4
+  env.sheet('Usuarios').insertRowBefore(2);
+  env.sheet('Usuarios').getRange(2, 1, 1, 7).setValues([
+    ['Nuevo', 'nuevo@empresa.com', 'Viewer', 'IT', true, daysAgo(1), daysAgo(1)]
+  ]);
+
+  env.gas.continuarVerificacionInactivos();
+
+  const emails = loggedEvents(env).map(e => e[2]);
+  assert.deepStrictEqual(emails, [1, 2, 3, 4].map(i => `usuario${i}@empresa.com`));
+});
+
+test('handleUserEdit rechaza un email ya registrado y registra DUPLICADO', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.appendRow(['Luis Pérez', ' Luis.Perez@Empresa.com ', 'Editor', 'IT', true]);
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 5));
+
+  assert.strictEqual(usuarios.getRange(4, 6).getValue(), '', 'no se registró');
+  assert.strictEqual(env.emails.length, 0);
+  assert.strictEqual(env.calendar.events.length, 0);
+  assert.strictEqual(usuarios.getRange(4, 2).getNote(), 'Email duplicado: ya registrado en la fila 3');
+  assert.strictEqual(usuarios.getRange(4, 2).getBackground(), '#f4cccc');
+
+  const [event] = loggedEvents(env);
+  assert.strictEqual(event[1], 'DUPLICADO');
+  assert.strictEqual(event[2], 'luis.perez@empresa.com');
+});
+
+test('al corregir el email duplicado se retira la marca y se procesa el usuario', () => {
+  const env = createEnvironment();
+  const usuarios = env.sheet('Usuarios');
+  usuarios.appendRow(['Luis Pérez', 'luis.perez@empresa.com', 'Editor', 'IT', true]);
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 5));
+
+  usuarios.getRange(4, 2).setValue('luis.perez2@empresa.com');
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 4, 2));
+
+  assert.strictEqual(usuarios.getRange(4, 2).getNote(), '');
+  assert.ok(usuarios.getRange(4, 6).getValue() instanceof Date);
+  assert.deepStrictEqual(loggedEvents(env).map(e => e[1]), ['DUPLICADO', 'USUARIO_AGREGADO']);
+});
+
+test('cambiar el email de un usuario registrado a uno existente lo marca', () => {
+  const env = createEnvironment();
+  env.sheet('Usuarios').getRange(3, 2).setValue('ana.lopez@empresa.com');
+
+  env.gas.handleUserEdit(editEvent(env, 'Usuarios', 3, 2));
+
+  assert.strictEqual(loggedEvents(env)[0][1], 'DUPLICADO');
+  assert.match(env.sheet('Usuarios').getRange(3, 2).getNote(), /fila 2/);
+});